@@ -0,0 +1,60 @@
+// copies the notes (and the images they embed) plus the demo sources into public/repo so the app can fetch them at runtime
+// CRA only bundles what lives in src and can't import a .md or a component's source as text, so we serve them as static files instead
+// it also writes public/repo/challenges.json, the list of every .md with a `challenge:` front matter key (see src/Challenges/README.md)
+// runs before `npm start` and `npm run build`
+
+const fs = require('fs')
+const path = require('path')
+
+const ROOT = path.resolve(__dirname, '..')
+const OUT_DIR = path.join(ROOT, 'public', 'repo')
+const FOLDERS = ['src/Component', 'src/Challenges', 'src/Practice', 'src/react-deep-dive', 'Notes']
+const EXTENSIONS = ['.md', '.png', '.js', '.jsx']
+
+// same `key: value` front matter the app reads in src/Catalog/repoFiles.js
+const readFrontMatter = (file) => {
+    const match = fs.readFileSync(file, 'utf8').match(/^---\r?\n([\s\S]*?)\r?\n---/)
+    if (!match) return {}
+    return Object.fromEntries(match[1]
+        .split(/\r?\n/)
+        .map(line => line.match(/^([\w-]+):\s*(.*)$/))
+        .filter(Boolean)
+        .map(pair => [pair[1], pair[2].trim()]))
+}
+
+const walk = (dir) => {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name)
+        return entry.isDirectory() ? walk(fullPath) : [fullPath]
+    })
+}
+
+const copyRepoFiles = () => {
+    fs.rmSync(OUT_DIR, { recursive: true, force: true })
+    let copied = 0
+    const challenges = []
+    FOLDERS.forEach(folder => {
+        const dir = path.join(ROOT, folder)
+        if (!fs.existsSync(dir)) return
+        walk(dir)
+            .filter(file => EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .forEach(file => {
+                const target = path.join(OUT_DIR, path.relative(ROOT, file))
+                fs.mkdirSync(path.dirname(target), { recursive: true })
+                fs.copyFileSync(file, target)
+                copied++
+                if (path.extname(file).toLowerCase() === '.md') {
+                    const { challenge, title, demo } = readFrontMatter(file)
+                    if (challenge) {
+                        const repoPath = path.relative(ROOT, file).split(path.sep).join('/')
+                        challenges.push({ path: repoPath, kind: challenge, title: title || repoPath, demo: demo || null })
+                    }
+                }
+            })
+    })
+    fs.mkdirSync(OUT_DIR, { recursive: true })
+    fs.writeFileSync(path.join(OUT_DIR, 'challenges.json'), JSON.stringify(challenges, null, 2))
+    console.log(`copied ${copied} repo files and ${challenges.length} challenges to ${path.relative(ROOT, OUT_DIR)}`)
+}
+
+copyRepoFiles()
@@ -1,8 +1,74 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import fs from 'fs';
 import App from './App';
+import { mockFetch, renderApp } from './testUtils';
 
-test('renders learn react link', () => {
+// routing only, every demo, hook and catalog panel has its own test file next to it
+
+beforeEach(() => {
+  mockFetch();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('renders the demo catalog with a sidebar link per demo', () => {
+  window.history.pushState({}, '', '/');
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /react notes/i })).toBeInTheDocument();
+  const sidebar = within(screen.getByRole('navigation'));
+  expect(sidebar.getByRole('link', { name: 'Product form' })).toHaveAttribute('href', '/hooks/use-reducer/form');
+});
+
+test('opens a demo directly from its url with its note beside it', async () => {
+  await renderApp('/hooks/use-reducer/form');
+  expect(screen.getByRole('heading', { name: 'Product form' })).toBeInTheDocument();
+  expect(screen.getByPlaceholderText('Title')).toBeInTheDocument();
+
+  const note = within(screen.getByRole('region', { name: 'Notes' }));
+  expect(note.getByRole('heading', { name: 'useReducer' })).toBeInTheDocument();
+  expect(note.getByRole('table')).toBeInTheDocument();
+  expect(note.getByRole('img', { name: 'diagram' })).toHaveAttribute('src', '/repo/src/Component/Hooks/useReducerHook/2022-06-20-15-58-48.png');
+  expect(note.getByRole('link', { name: 'roadmap' })).toHaveAttribute('href', '/notes/src/react-deep-dive/ROADMAP.md');
+  expect(global.fetch).toHaveBeenCalledWith('/repo/src/Component/Hooks/useReducerHook/useReducerHook.md', expect.anything());
+});
+
+test('filters the catalog index by search text and difficulty', () => {
+  window.history.pushState({}, '', '/');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  userEvent.type(screen.getByRole('searchbox', { name: /search demos/i }), 'cleanup');
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Difficulty' }), 'advanced');
+  const results = within(screen.getByRole('list', { name: 'Search results' }));
+  expect(results.getByRole('link', { name: 'Cleanup: posts and users app' })).toBeInTheDocument();
+  expect(results.queryByRole('link', { name: 'Lifecycle: cleanup' })).not.toBeInTheDocument();
+  expect(window.location.search).toBe('?q=cleanup&difficulty=advanced');
+});
+
+test('cleanup mini app runs under its own routes and logs aborted requests per navigation', async () => {
+  // api requests never settle on their own, only an abort ends them
+  mockFetch((url, { signal } = {}) => new Promise((resolve, reject) => {
+    signal?.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  }));
+  await renderApp('/hooks/use-effect/cleanup/users/1');
+
+  userEvent.click(screen.getByRole('link', { name: 'Fetch User 2' }));
+  expect(window.location.pathname).toBe('/hooks/use-effect/cleanup/users/2');
+
+  const log = within(screen.getByRole('region', { name: 'Request log' }));
+  expect(await log.findByText('aborted')).toBeInTheDocument();
+  expect(log.getByText('/hooks/use-effect/cleanup/users/1')).toBeInTheDocument();
+  expect(log.getByText('started')).toBeInTheDocument();
+});
+
+test('a quiz opens from the challenge list under /quiz', async () => {
+  mockFetch(undefined, (url) => (url.endsWith('challenges.json')
+    ? JSON.stringify([{ path: 'src/Challenges/ChallengeOne.md', kind: 'log-order', title: 'Parent and child effects', demo: '/challenges/lifecycle/challenge-one' }])
+    : fs.readFileSync('src/Challenges/ChallengeOne.md', 'utf8')));
+  await renderApp('/quiz');
+
+  userEvent.click(await screen.findByRole('link', { name: 'Parent and child effects' }));
+  expect(window.location.pathname).toBe('/quiz/src/Challenges/ChallengeOne.md');
+  expect(await screen.findByRole('button', { name: 'Run it' })).toBeInTheDocument();
 });
@@ -0,0 +1,78 @@
+import React from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { sections, demos, DIFFICULTIES, allTags, demoPath, topicTitle, searchDemos } from './registry'
+
+// filters live in the query string so a filtered list can be shared as a link e.g. /?q=cleanup&difficulty=advanced
+export const CatalogIndex = () => {
+    const [searchParams, setSearchParams] = useSearchParams()
+    const filters = {
+        query: searchParams.get('q') || '',
+        section: searchParams.get('section') || '',
+        difficulty: searchParams.get('difficulty') || '',
+        tag: searchParams.get('tag') || '',
+    }
+    const results = searchDemos(filters)
+
+    const setFilter = (name, value) => {
+        const next = new URLSearchParams(searchParams)
+        if (value) {
+            next.set(name, value)
+        } else {
+            next.delete(name)
+        }
+        setSearchParams(next, { replace: true })
+    }
+
+    return (
+        <div className="catalog-index">
+            <h1>React Notes</h1>
+            <div className="catalog-filters">
+                <input
+                    type="search"
+                    placeholder="Search demos, tags or files..."
+                    aria-label="Search demos"
+                    value={filters.query}
+                    onChange={(e) => setFilter('q', e.target.value)}
+                />
+                <select aria-label="Section" value={filters.section} onChange={(e) => setFilter('section', e.target.value)}>
+                    <option value="">All sections</option>
+                    {sections.map(section => <option key={section.id} value={section.id}>{section.title}</option>)}
+                </select>
+                <select aria-label="Difficulty" value={filters.difficulty} onChange={(e) => setFilter('difficulty', e.target.value)}>
+                    <option value="">Any difficulty</option>
+                    {DIFFICULTIES.map(level => <option key={level} value={level}>{level}</option>)}
+                </select>
+                <select aria-label="Tag" value={filters.tag} onChange={(e) => setFilter('tag', e.target.value)}>
+                    <option value="">Any tag</option>
+                    {allTags().map(tag => <option key={tag} value={tag}>{tag}</option>)}
+                </select>
+            </div>
+            <p>showing {results.length} of {demos.length} demos</p>
+            <ul className="catalog-results" aria-label="Search results">
+                {results.map(demo => (
+                    <li key={demoPath(demo)}>
+                        <Link to={demoPath(demo)}>{demo.title}</Link>
+                        <span className="catalog-meta">
+                            {topicTitle(demo)} · {demo.difficulty}
+                            {demo.note && ' · has notes'}
+                        </span>
+                        <span className="catalog-tags">
+                            {demo.tags.map(tag => (
+                                <button key={tag} type="button" onClick={() => setFilter('tag', tag)}>{tag}</button>
+                            ))}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    )
+}
+
+export const NotFound = () => {
+    return (
+        <div className="catalog-index">
+            <h1>No demo here</h1>
+            <Link to="/">Back to the catalog</Link>
+        </div>
+    )
+}
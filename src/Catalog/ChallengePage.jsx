@@ -0,0 +1,219 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { fetchRepoFile } from './repoFiles'
+import { CHALLENGE_KIND, diffLogOrder, fetchChallengeIndex, parseChallenge, sortedPool } from './challenges'
+import { findDemo } from './registry'
+import { NoteViewer, renderNote } from './NoteViewer'
+import { TraceScope, getTrace, subscribeTrace } from './lifecycleTrace'
+import { LifecycleTimeline } from './LifecycleTimeline'
+import { useStrictMode } from './StrictModeRoot'
+
+// the run is over once the trace has been quiet for this long (the challenges update themselves right after mounting)
+const SETTLE_MS = 300
+
+const Markdown = ({ markdown, path }) => {
+    const html = useMemo(() => renderNote(markdown, path), [markdown, path])
+    // challenges are our own markdown files from the repo, not user input
+    return <div className="note-body" dangerouslySetInnerHTML={{ __html: html }} />
+}
+
+export const ChallengeList = () => {
+    const [index, setIndex] = useState({ status: 'loading', challenges: [], error: '' })
+
+    useEffect(() => {
+        const controller = new AbortController()
+        fetchChallengeIndex({ signal: controller.signal })
+            .then(challenges => setIndex({ status: 'ready', challenges, error: '' }))
+            .catch(err => {
+                if (err.name === 'AbortError') return
+                setIndex({ status: 'error', challenges: [], error: err.message })
+            })
+        return () => {
+            controller.abort()
+        }
+    }, [])
+
+    return (
+        <div className="catalog-index">
+            <h1>Challenges</h1>
+            <p>Put the log lines in the order you think they print, then run the component and compare.</p>
+            {index.status === 'loading' && <p>Loading challenges .....</p>}
+            {index.status === 'error' && <p role="alert">{index.error}</p>}
+            <ul className="catalog-results" aria-label="Challenges">
+                {index.challenges.map(challenge => (
+                    <li key={challenge.path}>
+                        <Link to={`/quiz/${challenge.path}`}>{challenge.title}</Link>
+                        <span className="catalog-meta">
+                            {challenge.kind === CHALLENGE_KIND.LOG_ORDER ? 'predict the log order' : 'tasks'}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    )
+}
+
+const LogOrderQuiz = ({ challenge }) => {
+    const demo = findDemo(challenge.demo)
+    const { strict } = useStrictMode()
+    const [prediction, setPrediction] = useState([])
+    const [status, setStatus] = useState('arranging')
+    const [run, setRun] = useState(0)
+    const [actual, setActual] = useState([])
+
+    // every run gets its own trace scope so late cleanups of the previous run don't leak into this one
+    const scope = `quiz:${challenge.path}#${run}`
+
+    // subscribed by hand instead of useSyncExternalStore, re-rendering the quiz would re-render the demo and log even more
+    useEffect(() => {
+        if (status !== 'running') return
+        let timer
+        const restartTimer = () => {
+            clearTimeout(timer)
+            timer = setTimeout(() => {
+                const trace = getTrace()
+                setActual(trace.scope === scope ? trace.events.map(event => event.label) : [])
+                setStatus('done')
+            }, SETTLE_MS)
+        }
+        restartTimer()
+        const unsubscribe = subscribeTrace(restartTimer)
+        return () => {
+            clearTimeout(timer)
+            unsubscribe()
+        }
+    }, [status, scope])
+
+    if (!demo) {
+        return <p role="alert">{challenge.demo} is not in the catalog</p>
+    }
+
+    const used = new Set(prediction.map(item => item.id))
+    const pool = sortedPool(challenge.lines).filter(item => !used.has(item.id))
+    const isComplete = prediction.length === challenge.lines.length
+
+    const move = (index, offset) => {
+        const next = [...prediction]
+        const [item] = next.splice(index, 1)
+        next.splice(index + offset, 0, item)
+        setPrediction(next)
+    }
+
+    const startRun = () => {
+        setRun(r => r + 1)
+        setActual([])
+        setStatus('running')
+    }
+
+    const diff = diffLogOrder(prediction.map(item => item.label), actual)
+    const correct = prediction.filter((item, index) => item.label === actual[index]).length
+    const { component: Demo, props = {} } = demo
+
+    return (
+        <div className="log-order-quiz">
+            {strict && <p className="quiz-warning">StrictMode is on, effects run twice in dev so the actual log will have extra lines.</p>}
+
+            <div className="quiz-columns">
+                <section aria-label="Log lines">
+                    <h2>Log lines</h2>
+                    <ul className="quiz-pool">
+                        {pool.map(item => (
+                            <li key={item.id}>
+                                <button type="button" disabled={status !== 'arranging'} onClick={() => setPrediction([...prediction, item])}>
+                                    {item.label}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                <section aria-label="Your prediction">
+                    <h2>Your prediction</h2>
+                    <ol className="quiz-prediction">
+                        {prediction.map((item, index) => (
+                            <li key={item.id}>
+                                <code>{item.label}</code>
+                                {status === 'arranging' && (
+                                    <span>
+                                        <button type="button" aria-label={`move ${item.label} up`} disabled={index === 0} onClick={() => move(index, -1)}>↑</button>
+                                        <button type="button" aria-label={`move ${item.label} down`} disabled={index === prediction.length - 1} onClick={() => move(index, 1)}>↓</button>
+                                        <button type="button" aria-label={`remove ${item.label}`} onClick={() => setPrediction(prediction.filter(other => other !== item))}>×</button>
+                                    </span>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+                </section>
+            </div>
+
+            {status === 'arranging' && (
+                <button type="button" disabled={!isComplete} onClick={startRun}>Run it</button>
+            )}
+            {status === 'running' && <p>Running .....</p>}
+
+            {status === 'done' && (
+                <section className="quiz-result" aria-label="Result">
+                    <h2>{correct} of {actual.length} lines in the right place</h2>
+                    <ol className="quiz-diff">
+                        {diff.map((line, index) => (
+                            <li key={index} className={`quiz-diff-line ${line.status}`}>
+                                <span className="quiz-diff-sign">{line.status === 'match' ? ' ' : line.status === 'predicted' ? '-' : '+'}</span>
+                                <code>{line.label}</code>
+                            </li>
+                        ))}
+                    </ol>
+                    <p className="catalog-meta">- only in your prediction · + only in the actual run</p>
+                    {challenge.explanation && <Markdown markdown={challenge.explanation} path={challenge.path} />}
+                    <button type="button" onClick={() => setStatus('arranging')}>Try again</button>
+                </section>
+            )}
+
+            {status !== 'arranging' && (
+                <div className="demo-stage">
+                    <TraceScope key={scope} id={scope}>
+                        <Demo {...props} />
+                    </TraceScope>
+                    <LifecycleTimeline scope={scope} />
+                </div>
+            )}
+        </div>
+    )
+}
+
+export const ChallengePage = () => {
+    const path = useParams()['*']
+    const [challenge, setChallenge] = useState({ status: 'loading', data: null, error: '' })
+
+    useEffect(() => {
+        const controller = new AbortController()
+        setChallenge({ status: 'loading', data: null, error: '' })
+        fetchRepoFile(path, { signal: controller.signal })
+            .then(markdown => setChallenge({ status: 'ready', data: parseChallenge(markdown, path), error: '' }))
+            .catch(err => {
+                if (err.name === 'AbortError') return
+                setChallenge({ status: 'error', data: null, error: err.message })
+            })
+        return () => {
+            controller.abort()
+        }
+    }, [path])
+
+    if (challenge.status === 'loading') return <p>Loading challenge .....</p>
+    if (challenge.status === 'error') return <p role="alert">{challenge.error}</p>
+
+    const { data } = challenge
+    return (
+        <article className="challenge-page">
+            <h1 className="demo-title">{data.title}</h1>
+            {data.demo && <p className="catalog-meta">runs <Link to={data.demo}>{data.demo}</Link></p>}
+            {data.kind === CHALLENGE_KIND.LOG_ORDER ? (
+                <>
+                    {data.intro && <Markdown markdown={data.intro} path={data.path} />}
+                    <LogOrderQuiz key={data.path} challenge={data} />
+                </>
+            ) : (
+                <NoteViewer path={data.path} />
+            )}
+        </article>
+    )
+}
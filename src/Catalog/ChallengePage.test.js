@@ -0,0 +1,35 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import fs from 'fs';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { ChallengePage } from './ChallengePage';
+import { mockFetch } from '../testUtils';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('log order quiz runs the challenge and diffs the prediction against the actual logs', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  mockFetch(undefined, () => fs.readFileSync('src/Challenges/ChallengeOne.md', 'utf8'));
+  const { unmount } = render(
+    <MemoryRouter initialEntries={['/quiz/src/Challenges/ChallengeOne.md']}>
+      <Routes>
+        <Route path="/quiz/*" element={<ChallengePage />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+  const pool = within(await screen.findByRole('region', { name: 'Log lines' }));
+  // the usual wrong guess, each cleanup right before its own effect
+  ['1', '2', '3', '5', '1', '2', 'cleanup-4', '3', 'cleanup-2', '5'].forEach(label => {
+    userEvent.click(pool.getAllByRole('button', { name: label })[0]);
+  });
+  userEvent.click(screen.getByRole('button', { name: 'Run it' }));
+
+  const result = within(await screen.findByRole('region', { name: 'Result' }));
+  expect(result.getByText('8 of 10 lines in the right place')).toBeInTheDocument();
+  expect(result.getByText(/cleanups follow the same child first order/i)).toBeInTheDocument();
+  unmount();
+  console.log.mockRestore();
+});
@@ -0,0 +1,60 @@
+import React, { useState } from 'react'
+import { demoPath, topicTitle } from './registry'
+import { NoteViewer } from './NoteViewer'
+import { SourceViewer } from './SourceViewer'
+import { TraceScope } from './lifecycleTrace'
+import { LifecycleTimeline } from './LifecycleTimeline'
+import { Profiled, RenderCountOverlay } from './renderCounter'
+import { UpdateReportsPanel } from './UpdateReportsPanel'
+
+// the panel next to the running demo, notes first when the demo has them
+const DemoSidePanel = ({ demo }) => {
+    const [tab, setTab] = useState(demo.note ? 'notes' : 'source')
+    const tabs = [
+        demo.note && { id: 'notes', label: 'Notes' },
+        { id: 'source', label: 'Source' },
+    ].filter(Boolean)
+
+    return (
+        <aside className="demo-side-panel">
+            <div role="tablist" className="demo-tabs">
+                {tabs.map(({ id, label }) => (
+                    <button key={id} type="button" role="tab" aria-selected={tab === id} onClick={() => setTab(id)}>
+                        {label}
+                    </button>
+                ))}
+            </div>
+            {tab === 'notes' && <NoteViewer path={demo.note} />}
+            {tab === 'source' && <SourceViewer path={demo.source} />}
+        </aside>
+    )
+}
+
+export const DemoPage = ({ demo }) => {
+    const { component: Demo, props } = demo
+    return (
+        <article className="demo-page">
+            <header className="demo-header">
+                <h1 className="demo-title">{demo.title}</h1>
+                <p className="catalog-meta">
+                    {topicTitle(demo)} · {demo.difficulty} · <code>{demo.source}</code>
+                </p>
+            </header>
+            <div className="demo-layout">
+                <div className="demo-stage">
+                    <TraceScope id={demoPath(demo)}>
+                        {demo.profile ? (
+                            <Profiled labels={demo.profile.labels}>
+                                <Demo {...props} />
+                            </Profiled>
+                        ) : <Demo {...props} />}
+                    </TraceScope>
+                    {demo.profile && <RenderCountOverlay scope={demoPath(demo)} />}
+                    <UpdateReportsPanel scope={demoPath(demo)} />
+                    <LifecycleTimeline scope={demoPath(demo)} />
+                </div>
+                <DemoSidePanel key={demo.source} demo={demo} />
+            </div>
+        </article>
+    )
+}
@@ -0,0 +1,72 @@
+import { cleanup, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { clearUpdateReports } from '../Component/Custom Hooks/Debug/updateReports';
+import { mockFetch, renderDemoPage } from '../testUtils';
+
+// the panels DemoPage puts under a running demo
+
+beforeEach(() => {
+  mockFetch();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // the stores are module state, one test's demo must not show up in the next
+  clearUpdateReports();
+});
+
+afterEach(() => {
+  // unmounting logs the demo's cleanups, still into the mock
+  cleanup();
+  console.log.mockRestore();
+  delete global.fetch;
+});
+
+test('lifecycle timeline groups the traced events by commit and phase', async () => {
+  await renderDemoPage('/challenges/lifecycle/challenge-one');
+
+  const timeline = within(await screen.findByRole('region', { name: 'Lifecycle timeline' }));
+  expect(await timeline.findByText('commit #2')).toBeInTheDocument();
+  const labels = timeline.getAllByText(/^(cleanup-)?\d$/).map(label => label.textContent);
+  expect(labels).toEqual(['1', '2', '3', '5', '1', '2', 'cleanup-4', 'cleanup-2', '3', '5']);
+  expect(timeline.getAllByText('mount')).toHaveLength(1);
+  expect(timeline.getAllByText('update')).toHaveLength(1);
+
+  userEvent.click(timeline.getByRole('button', { name: 'clear' }));
+  await waitFor(() => expect(screen.queryByRole('region', { name: 'Lifecycle timeline' })).not.toBeInTheDocument());
+});
+
+test('render count overlay and badges count each component of a profiled demo and reset', async () => {
+  await renderDemoPage('/hooks/use-callback/parent');
+
+  const overlay = within(screen.getByRole('region', { name: 'Render counts' }));
+  const renders = (name) => within(overlay.getByRole('row', { name })).getAllByRole('cell')[1].textContent;
+  await waitFor(() => expect(renders('ParentComponent')).toBe('1'));
+  userEvent.click(screen.getByRole('button', { name: 'Increment Age' }));
+  await waitFor(() => expect(renders('ParentComponent')).toBe('2'));
+  // the memoized children whose props stayed the same did not render again
+  expect(renders('Count (Age)')).toBe('2');
+  expect(renders('Button (Increment Age)')).toBe('2');
+  expect(renders('Count (Salary)')).toBe('1');
+  expect(renders('Button (Increment Salary)')).toBe('1');
+  expect(renders('Title')).toBe('1');
+  expect(screen.getByTitle('Count (Age)')).toHaveTextContent(/^Count \(Age\) · 2 renders · last \d+\.\dms · avg \d+\.\dms$/);
+  expect(screen.getByTitle('Count (Salary)')).toHaveTextContent(/^Count \(Salary\) · 1 render · /);
+
+  userEvent.click(overlay.getByRole('button', { name: 'reset counters' }));
+  await waitFor(() => expect(overlay.queryByRole('row', { name: 'ParentComponent' })).not.toBeInTheDocument());
+  expect(screen.getByTitle('Title')).toHaveTextContent('Title · 0 renders');
+});
+
+test('why did you update panel lists the value and reference changes of the last renders', async () => {
+  await renderDemoPage('/hooks/use-callback/parent');
+  expect(screen.queryByRole('region', { name: 'Why did you update' })).not.toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Increment Age' }));
+  const panel = within(await screen.findByRole('region', { name: 'Why did you update' }));
+  expect(panel.getByText('count: 25 → 26')).toBeInTheDocument();
+  // useCallback([age]) hands out a new function when age changes, it sees the new age so it is a changed value
+  expect(panel.getByText(/^handleClick: new function/)).toBeInTheDocument();
+  expect(panel.queryByText(/Salary/)).not.toBeInTheDocument();
+  expect(console.log).toHaveBeenCalledWith('[why did you update] Count (Age) render #2', ['count: 25 → 26']);
+
+  userEvent.click(panel.getByRole('button', { name: 'clear' }));
+  await waitFor(() => expect(screen.queryByRole('region', { name: 'Why did you update' })).not.toBeInTheDocument());
+});
@@ -0,0 +1,56 @@
+import React, { useSyncExternalStore } from 'react'
+import { clearTrace, getTrace, subscribeTrace } from './lifecycleTrace'
+
+// commits in order, and inside each commit the events grouped into runs of the same phase
+// so "all cleanups before any effect" reads straight off the screen
+const groupEvents = (events) => {
+    const commits = []
+    events.forEach(event => {
+        let commit = commits[commits.length - 1]
+        if (!commit || commit.number !== event.commit) {
+            commit = { number: event.commit, phases: [] }
+            commits.push(commit)
+        }
+        let phase = commit.phases[commit.phases.length - 1]
+        if (!phase || phase.phase !== event.phase) {
+            phase = { phase: event.phase, events: [] }
+            commit.phases.push(phase)
+        }
+        phase.events.push(event)
+    })
+    return commits
+}
+
+export const LifecycleTimeline = ({ scope }) => {
+    const trace = useSyncExternalStore(subscribeTrace, getTrace)
+    if (trace.scope !== scope || trace.events.length === 0) return null
+
+    return (
+        <section className="lifecycle-timeline" aria-label="Lifecycle timeline">
+            <header>
+                <h2>Lifecycle timeline</h2>
+                <button type="button" onClick={clearTrace}>clear</button>
+            </header>
+            <ol className="timeline-commits">
+                {groupEvents(trace.events).map((commit, index) => (
+                    <li key={index}>
+                        <h3>commit #{commit.number}</h3>
+                        {commit.phases.map((phase, phaseIndex) => (
+                            <div key={phaseIndex} className={`timeline-phase ${phase.phase}`}>
+                                <span className="timeline-phase-name">{phase.phase}</span>
+                                <ol>
+                                    {phase.events.map(event => (
+                                        <li key={event.id} className={`timeline-event ${event.kind.replace(' ', '-')}`}>
+                                            <span className="timeline-time">{event.time}ms</span>
+                                            <b>{event.component}</b> {event.kind}: <code>{event.label}</code>
+                                        </li>
+                                    ))}
+                                </ol>
+                            </div>
+                        ))}
+                    </li>
+                ))}
+            </ol>
+        </section>
+    )
+}
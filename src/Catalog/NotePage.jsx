@@ -0,0 +1,13 @@
+import React from 'react'
+import { useParams } from 'react-router-dom'
+import { NoteViewer } from './NoteViewer'
+
+// /notes/<repo path> renders any note on its own, used for the react-deep-dive tree and links between notes
+export const NotePage = () => {
+    const params = useParams()
+    return (
+        <article className="note-page">
+            <NoteViewer path={params['*']} />
+        </article>
+    )
+}
@@ -0,0 +1,78 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { marked } from 'marked'
+import { useNavigate } from 'react-router-dom'
+import { dirname, fetchRepoFile, repoFileUrl, resolveRepoPath, splitFrontMatter } from './repoFiles'
+
+const isExternal = (href) => /^([a-z]+:|\/\/|#)/i.test(href)
+
+// relative links to another note (or to a folder with a README) open inside the app, anything else is served from public/repo
+export const notePathFromLink = (noteDir, href) => {
+    const resolved = resolveRepoPath(noteDir, href.split('#')[0])
+    if (resolved.toLowerCase().endsWith('.md')) return resolved
+    if (!/\.[a-z0-9]+$/i.test(resolved)) return `${resolved}/README.md`
+    return null
+}
+
+export const renderNote = (markdown, notePath) => {
+    const noteDir = dirname(notePath)
+    const renderer = new marked.Renderer()
+    const defaultLink = renderer.link.bind(renderer)
+    const defaultImage = renderer.image.bind(renderer)
+
+    renderer.image = (href, title, text) => {
+        const src = href && !isExternal(href) ? repoFileUrl(resolveRepoPath(noteDir, href)) : href
+        return defaultImage(src, title, text)
+    }
+    renderer.link = (href, title, text) => {
+        if (!href || isExternal(href)) {
+            return defaultLink(href, title, text).replace('<a ', '<a target="_blank" rel="noreferrer" ')
+        }
+        const linkedNote = notePathFromLink(noteDir, href)
+        if (linkedNote) {
+            return defaultLink(`/notes/${linkedNote}`, title, text).replace('<a ', `<a data-note="${linkedNote}" `)
+        }
+        return defaultLink(repoFileUrl(resolveRepoPath(noteDir, href)), title, text)
+    }
+
+    return marked.parse(splitFrontMatter(markdown).body, { renderer, gfm: true })
+}
+
+export const NoteViewer = ({ path }) => {
+    const [note, setNote] = useState({ status: 'loading', markdown: '', error: '' })
+    const navigate = useNavigate()
+
+    useEffect(() => {
+        const controller = new AbortController()
+        setNote({ status: 'loading', markdown: '', error: '' })
+        fetchRepoFile(path, { signal: controller.signal })
+            .then(markdown => setNote({ status: 'ready', markdown, error: '' }))
+            .catch(err => {
+                if (err.name === 'AbortError') return
+                setNote({ status: 'error', markdown: '', error: err.message })
+            })
+        return () => {
+            controller.abort()
+        }
+    }, [path])
+
+    const html = useMemo(() => (note.status === 'ready' ? renderNote(note.markdown, path) : ''), [note, path])
+
+    const handleClick = (e) => {
+        const link = e.target.closest('a[data-note]')
+        if (!link) return
+        e.preventDefault()
+        navigate(`/notes/${link.dataset.note}`)
+    }
+
+    return (
+        <section className="note-viewer" aria-label="Notes">
+            <p className="catalog-meta"><code>{path}</code></p>
+            {note.status === 'loading' && <p>Loading notes .....</p>}
+            {note.status === 'error' && <p role="alert">{note.error}</p>}
+            {note.status === 'ready' && (
+                // notes are our own markdown files from the repo, not user input
+                <div className="note-body" onClick={handleClick} dangerouslySetInnerHTML={{ __html: html }} />
+            )}
+        </section>
+    )
+}
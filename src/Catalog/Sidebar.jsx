@@ -0,0 +1,50 @@
+import React from 'react'
+import { NavLink } from 'react-router-dom'
+import { sections, notes, demoPath, demosByTopic } from './registry'
+import { StrictModeToggle } from './StrictModeRoot'
+import { ThemeSwitcher } from '../Component/Custom Hooks/Theme/ThemeProvider'
+
+export const Sidebar = () => {
+    return (
+        <nav className="catalog-sidebar">
+            <NavLink to="/" end className="catalog-home">React Notes</NavLink>
+            <StrictModeToggle />
+            <ThemeSwitcher />
+            {sections.map(section => (
+                <section key={section.id}>
+                    <h2>{section.title}</h2>
+                    {section.topics.map(topic => (
+                        <div key={topic.id} className="catalog-topic">
+                            <h3>{topic.title}</h3>
+                            <ul>
+                                {demosByTopic(section.id, topic.id).map(demo => (
+                                    <li key={demo.slug}>
+                                        <NavLink to={demoPath(demo)}>{demo.title}</NavLink>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </section>
+            ))}
+            <section>
+                <h2>Quiz</h2>
+                <ul>
+                    <li>
+                        <NavLink to="/quiz">Predict the log order</NavLink>
+                    </li>
+                </ul>
+            </section>
+            <section>
+                <h2>Notes</h2>
+                <ul>
+                    {notes.map(note => (
+                        <li key={note.path}>
+                            <NavLink to={`/notes/${note.path}`}>{note.title}</NavLink>
+                        </li>
+                    ))}
+                </ul>
+            </section>
+        </nav>
+    )
+}
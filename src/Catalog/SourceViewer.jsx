@@ -0,0 +1,92 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import Prism from 'prismjs'
+import 'prismjs/components/prism-jsx'
+import 'prismjs/themes/prism.css'
+import './prismTheme.css'
+import { fetchRepoFile } from './repoFiles'
+import { parseAnnotations, splitHighlightedLines } from './annotations'
+
+const lineId = (line) => `src-L${line}`
+
+export const SourceViewer = ({ path }) => {
+    const [file, setFile] = useState({ status: 'loading', source: '', error: '' })
+    const [activeLine, setActiveLine] = useState(null)
+
+    useEffect(() => {
+        const controller = new AbortController()
+        setFile({ status: 'loading', source: '', error: '' })
+        setActiveLine(null)
+        fetchRepoFile(path, { signal: controller.signal })
+            .then(source => setFile({ status: 'ready', source, error: '' }))
+            .catch(err => {
+                if (err.name === 'AbortError') return
+                setFile({ status: 'error', source: '', error: err.message })
+            })
+        return () => {
+            controller.abort()
+        }
+    }, [path])
+
+    const { lines, annotations } = useMemo(() => {
+        if (file.status !== 'ready') return { lines: [], annotations: [] }
+        const html = Prism.highlight(file.source, Prism.languages.jsx, 'jsx')
+        return { lines: splitHighlightedLines(html), annotations: parseAnnotations(file.source) }
+    }, [file])
+
+    const annotatedLines = useMemo(() => {
+        const byLine = new Map()
+        annotations.forEach(annotation => {
+            for (let line = annotation.line; line <= annotation.endLine; line++) {
+                byLine.set(line, annotation.kind)
+            }
+        })
+        return byLine
+    }, [annotations])
+
+    const goToLine = (line) => {
+        setActiveLine(line)
+        const row = document.getElementById(lineId(line))
+        if (row && row.scrollIntoView) {
+            row.scrollIntoView({ block: 'center', behavior: 'smooth' })
+        }
+    }
+
+    return (
+        <section className="source-viewer" aria-label="Source">
+            <p className="catalog-meta"><code>{path}</code></p>
+            {file.status === 'loading' && <p>Loading source .....</p>}
+            {file.status === 'error' && <p role="alert">{file.error}</p>}
+            {file.status === 'ready' && (
+                <>
+                    {annotations.length > 0 && (
+                        <ol className="source-callouts" aria-label="Annotations">
+                            {annotations.map(annotation => (
+                                <li key={annotation.line} className={`source-callout ${annotation.kind}`}>
+                                    <button type="button" onClick={() => goToLine(annotation.line)}>
+                                        line {annotation.line}
+                                    </button>
+                                    <span>{annotation.text}</span>
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                    <pre className="source-code language-jsx">
+                        <code>
+                            {lines.map((html, index) => {
+                                const line = index + 1
+                                const kind = annotatedLines.get(line)
+                                const classes = ['source-line', kind, line === activeLine && 'active'].filter(Boolean).join(' ')
+                                return (
+                                    <div key={line} id={lineId(line)} className={classes} aria-label={`line ${line}`}>
+                                        <span className="source-line-number">{line}</span>
+                                        <span dangerouslySetInnerHTML={{ __html: html || ' ' }} />
+                                    </div>
+                                )
+                            })}
+                        </code>
+                    </pre>
+                </>
+            )}
+        </section>
+    )
+}
@@ -0,0 +1,20 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { SourceViewer } from './SourceViewer';
+import { mockFetch } from '../testUtils';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('shows the highlighted source with its annotation comments as callouts', async () => {
+  mockFetch();
+  render(<SourceViewer path="src/Component/Hooks/useStateHook/CounterThree.jsx" />);
+
+  const source = within(screen.getByRole('region', { name: 'Source' }));
+  const callouts = within(await source.findByRole('list', { name: 'Annotations' }));
+  expect(callouts.getByText('always cleanup')).toBeInTheDocument();
+  userEvent.click(callouts.getByRole('button', { name: 'line 2' }));
+  expect(source.getByLabelText('line 2')).toHaveClass('source-line', 'important', 'active');
+  expect(global.fetch).toHaveBeenCalledWith('/repo/src/Component/Hooks/useStateHook/CounterThree.jsx', expect.anything());
+});
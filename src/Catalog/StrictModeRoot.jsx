@@ -0,0 +1,47 @@
+import React, { createContext, useContext, useState } from 'react'
+
+// lets the sidebar switch <React.StrictMode> on and off without touching index.js
+// switching swaps the wrapper element type, so React throws the old tree away and mounts everything again
+const STORAGE_KEY = 'react-notes:strict-mode'
+
+const readStrictMode = () => {
+    try {
+        return window.localStorage.getItem(STORAGE_KEY) === 'true'
+    } catch (error) {
+        return false
+    }
+}
+
+const StrictModeContext = createContext({ strict: false, setStrict: null })
+
+export const useStrictMode = () => useContext(StrictModeContext)
+
+export const StrictModeRoot = ({ children }) => {
+    const [strict, setStrictState] = useState(readStrictMode)
+
+    const setStrict = (next) => {
+        setStrictState(next)
+        try {
+            window.localStorage.setItem(STORAGE_KEY, String(next))
+        } catch (error) {
+            console.error(error)
+        }
+    }
+
+    return (
+        <StrictModeContext.Provider value={{ strict, setStrict }}>
+            {strict ? <React.StrictMode>{children}</React.StrictMode> : <>{children}</>}
+        </StrictModeContext.Provider>
+    )
+}
+
+export const StrictModeToggle = () => {
+    const { strict, setStrict } = useStrictMode()
+    if (!setStrict) return null
+    return (
+        <label className="strict-mode-toggle">
+            <input type="checkbox" checked={strict} onChange={(e) => setStrict(e.target.checked)} />
+            StrictMode {strict ? '(effects run twice in dev)' : 'off'}
+        </label>
+    )
+}
@@ -0,0 +1,22 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { StrictModeRoot, StrictModeToggle } from './StrictModeRoot';
+import { CounterOne } from '../Component/Hooks/useStateHook/CounterOne';
+
+test('strict mode toggle remounts the tree and remembers the choice', () => {
+  window.localStorage.clear();
+  render(
+    <StrictModeRoot>
+      <StrictModeToggle />
+      <CounterOne />
+    </StrictModeRoot>
+  );
+
+  userEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(screen.getByText('Count 1')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('checkbox', { name: /strictmode/i }));
+  expect(screen.getByText('Count 0')).toBeInTheDocument();
+  expect(screen.getByRole('checkbox', { name: /strictmode/i })).toBeChecked();
+  expect(window.localStorage.getItem('react-notes:strict-mode')).toBe('true');
+});
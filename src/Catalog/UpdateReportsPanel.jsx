@@ -0,0 +1,43 @@
+import React, { useEffect, useSyncExternalStore } from 'react'
+import { CHANGE_KIND, clearUpdateReports, describeChange, getUpdateReports, subscribeUpdateReports } from '../Component/Custom Hooks/Debug/updateReports'
+
+// what useWhyDidYouUpdate reported for the demo on screen, newest first
+// sits outside the demo's Profiler like the render count overlay, and stays away until there is something to show
+export const UpdateReportsPanel = ({ scope }) => {
+    const reports = useSyncExternalStore(subscribeUpdateReports, getUpdateReports)
+    // the store is global, what another demo reported goes away with it
+    // (the hook only reports re-renders, so the mount of the new demo has nothing in there yet)
+    useEffect(() => {
+        clearUpdateReports()
+    }, [scope])
+    const ours = [...reports].reverse()
+    if (!ours.length) return null
+
+    return (
+        <section className="update-reports" aria-label="Why did you update">
+            <header>
+                <h2>Why did you update</h2>
+                <button type="button" onClick={clearUpdateReports}>clear</button>
+            </header>
+            <ol>
+                {ours.map(report => (
+                    <li key={report.id}>
+                        <b>{report.name}</b> render #{report.render}
+                        {report.changes.length ? (
+                            <ul>
+                                {report.changes.map(change => (
+                                    <li key={change.key} className={`update-change ${change.kind}`}>
+                                        <code>{describeChange(change)}</code>
+                                        {change.kind === CHANGE_KIND.REFERENCE && <span className="catalog-meta"> (useMemo / useCallback would keep it the same)</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <span className="catalog-meta"> nothing it was given changed, the render came from its parent, its own state or a context</span>
+                        )}
+                    </li>
+                ))}
+            </ol>
+        </section>
+    )
+}
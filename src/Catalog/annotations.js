@@ -0,0 +1,89 @@
+// the demos explain themselves with marker comments, these turn them into callouts for the source panel
+//   // ! something important        -> 'important'
+//   //* or // * a side note         -> 'note'
+//   /*  * line one  * line two  */  -> one 'note' for the whole block
+
+// trailing markers count too (`setCount(c => c + 1) // ! why`), the leading space keeps urls like https:// out
+const IMPORTANT = /(?:^|\s)\/\/\s*!\s?(.*)$/
+const NOTE = /(?:^|\s)\/\/\s*\*\s?(.*)$/
+const BLOCK_START = /\/\*(.*)$/
+const BLOCK_END = /^(.*?)\*\//
+
+const cleanText = (text) => text.replace(/\*\/\s*\}?\s*$/, '').trim()
+
+export const parseAnnotations = (source) => {
+    const annotations = []
+    const lines = source.split('\n')
+    let block = null
+
+    lines.forEach((text, index) => {
+        const line = index + 1
+
+        if (block) {
+            const end = text.match(BLOCK_END)
+            const content = end ? end[1] : text
+            const star = content.match(/^\s*\*\s?(.*)$/)
+            if (star && star[1].trim()) {
+                block.starLines.push(cleanText(star[1]))
+            }
+            if (end) {
+                if (block.starLines.length) {
+                    annotations.push({ kind: 'note', line: block.line, endLine: line, text: block.starLines.join('\n') })
+                }
+                block = null
+            }
+            return
+        }
+
+        const important = text.match(IMPORTANT)
+        if (important) {
+            annotations.push({ kind: 'important', line, endLine: line, text: cleanText(important[1]) })
+            return
+        }
+        const note = text.match(NOTE)
+        if (note) {
+            annotations.push({ kind: 'note', line, endLine: line, text: cleanText(note[1]) })
+            return
+        }
+
+        const start = text.match(BLOCK_START)
+        if (start && !/\*\//.test(start[1])) {
+            block = { line, starLines: [] }
+            const star = start[1].match(/^\s*\*\s?(.*)$/)
+            if (star && star[1].trim()) {
+                block.starLines.push(cleanText(star[1]))
+            }
+        }
+    })
+
+    return annotations.filter(annotation => annotation.text)
+}
+
+// prism returns one html string, a comment or template literal can open a <span> on one line and close it lines later
+// so we close the open spans at every newline and reopen them on the next line to get one html string per line
+export const splitHighlightedLines = (html) => {
+    const lines = []
+    const open = []
+    let current = ''
+    const tagPattern = /(<span[^>]*>|<\/span>|\n)/g
+    let lastIndex = 0
+    let match
+
+    while ((match = tagPattern.exec(html)) !== null) {
+        current += html.slice(lastIndex, match.index)
+        lastIndex = tagPattern.lastIndex
+        const token = match[0]
+        if (token === '\n') {
+            lines.push(current + '</span>'.repeat(open.length))
+            current = open.join('')
+        } else if (token === '</span>') {
+            open.pop()
+            current += token
+        } else {
+            open.push(token)
+            current += token
+        }
+    }
+    lines.push(current + html.slice(lastIndex))
+    return lines
+}
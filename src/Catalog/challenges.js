@@ -0,0 +1,93 @@
+import { fetchRepoFile, splitFrontMatter } from './repoFiles'
+
+// a challenge is a markdown file with a `challenge:` front matter key, see src/Challenges/README.md for the format
+// scripts/copy-repo-files.js finds them and writes public/repo/challenges.json, so a new puzzle is just a new .md file
+
+export const CHALLENGE_KIND = {
+    LOG_ORDER: 'log-order',
+    TASKS: 'tasks',
+}
+
+export const fetchChallengeIndex = async ({ signal } = {}) => {
+    return JSON.parse(await fetchRepoFile('challenges.json', { signal }))
+}
+
+// splits the body on `## ` headings, the headings we know about are pulled out and the rest stays as the intro
+const splitSections = (body) => {
+    const sections = { intro: [] }
+    let current = 'intro'
+    body.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^##\s+(.*)$/)
+        const name = heading && heading[1].trim().toLowerCase()
+        if (name === 'lines' || name === 'explanation') {
+            current = name
+            sections[current] = []
+            return
+        }
+        if (heading && current !== 'intro') {
+            current = 'intro'
+        }
+        sections[current].push(line)
+    })
+    return Object.fromEntries(Object.entries(sections).map(([name, lines]) => [name, lines.join('\n').trim()]))
+}
+
+const parseLines = (markdown = '') => {
+    return markdown
+        .split(/\r?\n/)
+        .map(line => line.match(/^\s*[-*]\s+(.*)$/))
+        .filter(Boolean)
+        .map(match => match[1].trim().replace(/^`(.*)`$/, '$1'))
+}
+
+export const parseChallenge = (markdown, path) => {
+    const { data, body } = splitFrontMatter(markdown)
+    const sections = splitSections(body)
+    return {
+        path,
+        kind: data.challenge || CHALLENGE_KIND.TASKS,
+        title: data.title || path,
+        demo: data.demo || null,
+        intro: sections.intro,
+        lines: parseLines(sections.lines),
+        explanation: sections.explanation || '',
+    }
+}
+
+// the line pool is shown sorted so it doesn't give the answer away
+export const sortedPool = (lines) => {
+    return lines
+        .map((label, index) => ({ id: index, label }))
+        .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }))
+}
+
+// longest common subsequence between what you predicted and what actually ran
+// every line comes back as 'match', 'predicted' (you expected it here but it didn't run here) or 'actual' (it ran here, you didn't expect it)
+export const diffLogOrder = (predicted, actual) => {
+    const table = Array.from({ length: predicted.length + 1 }, () => new Array(actual.length + 1).fill(0))
+    for (let i = predicted.length - 1; i >= 0; i--) {
+        for (let j = actual.length - 1; j >= 0; j--) {
+            table[i][j] = predicted[i] === actual[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1])
+        }
+    }
+
+    const diff = []
+    let i = 0
+    let j = 0
+    while (i < predicted.length && j < actual.length) {
+        if (predicted[i] === actual[j]) {
+            diff.push({ status: 'match', label: actual[j] })
+            i++
+            j++
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            diff.push({ status: 'predicted', label: predicted[i++] })
+        } else {
+            diff.push({ status: 'actual', label: actual[j++] })
+        }
+    }
+    predicted.slice(i).forEach(label => diff.push({ status: 'predicted', label }))
+    actual.slice(j).forEach(label => diff.push({ status: 'actual', label }))
+    return diff
+}
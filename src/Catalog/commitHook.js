@@ -0,0 +1,54 @@
+// tells the catalog about every commit React makes, with the committed fiber tree
+//
+//   const unsubscribe = subscribeCommits((root) => walk(root.current))
+//
+// react-dom looks for window.__REACT_DEVTOOLS_GLOBAL_HOOK__ when it is first imported and calls its
+// onCommitFiberRoot after each commit (that is how React DevTools and react-refresh see the tree),
+// so this module has to be imported before react-dom: first line of index.js, setupTests.js for jest
+//
+// an existing hook (the DevTools extension, react-refresh in npm start) is kept and only wrapped,
+// without one a minimal hook is installed. production builds never get one, the render counters need a development build anyway
+
+const listeners = new Set()
+
+const installHook = () => {
+    if (typeof window === 'undefined' || process.env.NODE_ENV === 'production') return
+    if (!window.__REACT_DEVTOOLS_GLOBAL_HOOK__) {
+        const renderers = new Map()
+        window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = {
+            renderers,
+            supportsFiber: true,
+            inject: (renderer) => {
+                const id = renderers.size + 1
+                renderers.set(id, renderer)
+                return id
+            },
+            onScheduleFiberRoot: () => {},
+            onCommitFiberRoot: () => {},
+            onCommitFiberUnmount: () => {},
+            onPostCommitFiberRoot: () => {},
+            checkDCE: () => {},
+        }
+    }
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__
+    const onCommitFiberRoot = hook.onCommitFiberRoot
+    hook.onCommitFiberRoot = function (rendererID, root, ...rest) {
+        const result = onCommitFiberRoot && onCommitFiberRoot.call(this, rendererID, root, ...rest)
+        // a broken listener must not break DevTools or React's commit
+        listeners.forEach(listener => {
+            try {
+                listener(root)
+            } catch (error) {
+                console.error(error)
+            }
+        })
+        return result
+    }
+}
+
+installHook()
+
+export const subscribeCommits = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
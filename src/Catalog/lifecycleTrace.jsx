@@ -0,0 +1,135 @@
+import React, { createContext, useContext, useLayoutEffect } from 'react'
+import { createStore } from '../Component/Custom Hooks/ExternalStore/createStore'
+
+// records render / effect / cleanup / layout effect events so the order can be seen on a timeline instead of in DevTools
+// use it in place of console.log, the tracer lives at module level like console does:
+//
+//   const trace = createLifecycleTrace('Child')
+//
+//   export function Child({ count }) {
+//       useLifecycleTrace(trace)
+//       trace.render('2')
+//       useEffect(() => {
+//           trace.effect('3')
+//           return () => trace.cleanup('cleanup-4')
+//       }, [count])
+//   }
+//
+// a module value never goes in the deps, so the effects keep exactly the deps the lesson is about
+// useLifecycleTrace tells the tracer which demo it renders in and counts the commits to know mount from update,
+// one tracer follows one mounted instance (every demo here renders each traced component once)
+//
+// commit numbers come from the <TraceScope> (a React.Profiler) DemoPage wraps every demo in
+// the Profiler reports a commit after that commit's layout effects but before its passive effects,
+// so renders and layout effects belong to the commit that is about to happen and passive effects to the one that just did
+// (Profiler callbacks only run in development builds, which is where these demos live anyway)
+
+export const TRACE_KIND = {
+    RENDER: 'render',
+    LAYOUT_EFFECT: 'layout effect',
+    LAYOUT_CLEANUP: 'layout cleanup',
+    EFFECT: 'effect',
+    CLEANUP: 'cleanup',
+}
+
+export const TRACE_PHASE = {
+    MOUNT: 'mount',
+    UPDATE: 'update',
+    UNMOUNT: 'unmount',
+}
+
+// events are recorded while React is rendering, the store tells the timeline a tick later
+const store = createStore({ scope: undefined, committed: 0, startedAt: 0, events: [] })
+
+const enterScope = (scope) => {
+    if (store.get().scope === scope) return
+    store.set({ scope, committed: 0, startedAt: 0, events: [] })
+}
+
+export const subscribeTrace = store.subscribe
+
+export const getTrace = store.get
+
+export const clearTrace = () => {
+    store.set(trace => ({ ...trace, committed: 0, startedAt: 0, events: [] }))
+}
+
+const markCommit = (scope) => {
+    enterScope(scope)
+    // counted in place without a set, the timeline re-rendering would be one more commit to report
+    store.get().committed++
+}
+
+const recordEvent = (scope, component, kind, phase, label) => {
+    // a new demo starts with its first render, late cleanups from the demo we just left are dropped
+    if (kind === TRACE_KIND.RENDER) {
+        enterScope(scope)
+    } else if (scope !== store.get().scope) {
+        console.log(label)
+        return
+    }
+    const trace = store.get()
+    const now = performance.now()
+    const startedAt = trace.startedAt || now
+    const isBeforeCommit = kind === TRACE_KIND.RENDER || kind === TRACE_KIND.LAYOUT_EFFECT || kind === TRACE_KIND.LAYOUT_CLEANUP
+    const event = {
+        id: trace.events.length + 1,
+        component,
+        kind,
+        phase,
+        label,
+        commit: isBeforeCommit ? trace.committed + 1 : trace.committed,
+        time: Math.round((now - startedAt) * 10) / 10,
+    }
+    store.set({ ...trace, startedAt, events: [...trace.events, event] })
+    console.log(label)
+}
+
+const TraceScopeContext = createContext(undefined)
+
+// the demo (or quiz run) a component is rendering in, the render counters use it too
+export const useTraceScope = () => useContext(TraceScopeContext)
+
+export const TraceScope = ({ id, children }) => {
+    return (
+        <TraceScopeContext.Provider value={id}>
+            <React.Profiler id={id} onRender={() => markCommit(id)}>
+                {children}
+            </React.Profiler>
+        </TraceScopeContext.Provider>
+    )
+}
+
+export const createLifecycleTrace = (component) => {
+    const instance = { scope: undefined, commits: 0, unmounting: false }
+    const effectPhase = () => (instance.commits <= 1 ? TRACE_PHASE.MOUNT : TRACE_PHASE.UPDATE)
+    const cleanupPhase = () => (instance.unmounting ? TRACE_PHASE.UNMOUNT : TRACE_PHASE.UPDATE)
+    const record = (kind, phase, label) => recordEvent(instance.scope, component, kind, phase, label)
+    return {
+        instance,
+        render: (label) => record(TRACE_KIND.RENDER, instance.commits === 0 ? TRACE_PHASE.MOUNT : TRACE_PHASE.UPDATE, label),
+        layoutEffect: (label) => record(TRACE_KIND.LAYOUT_EFFECT, effectPhase(), label),
+        layoutCleanup: (label) => record(TRACE_KIND.LAYOUT_CLEANUP, cleanupPhase(), label),
+        effect: (label) => record(TRACE_KIND.EFFECT, effectPhase(), label),
+        cleanup: (label) => record(TRACE_KIND.CLEANUP, cleanupPhase(), label),
+    }
+}
+
+export const useLifecycleTrace = (trace) => {
+    const { instance } = trace
+    // read while rendering, the trace.render right after this needs it
+    instance.scope = useTraceScope()
+
+    // declared before the component's own effects so they run first and the phase is known by the time those run
+    // the [] cleanup only runs on a real unmount (or StrictMode's pretend one)
+    useLayoutEffect(() => {
+        instance.unmounting = false
+        return () => {
+            instance.unmounting = true
+            instance.commits = 0
+        }
+    }, [instance])
+    useLayoutEffect(() => {
+        instance.commits++
+    })
+}
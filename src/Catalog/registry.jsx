@@ -0,0 +1,981 @@
+// registry of every demo under src/Component, src/Challenges and src/Practice
+// each entry gets its own url /<section>/<topic>/<slug> e.g. /hooks/use-reducer/form
+// entries with nested: true also own everything below their url and render their own <Routes>
+// entries with profile get a render count badge on each of their components and the render overlay (see Catalog/renderCounter)
+// profile: { labels } names the instances of one component apart, profile: true uses the component names
+// source and note are paths from the repo root so we always know which notes go with which demo
+
+import { CounterOne } from '../Component/Hooks/useStateHook/CounterOne'
+import { CounterTwo } from '../Component/Hooks/useStateHook/CounterTwo'
+import { CounterThree } from '../Component/Hooks/useStateHook/CounterThree'
+import { UseSateWithObject } from '../Component/Hooks/useStateHook/UseSateWithObject'
+import { UseSttaeWithArray } from '../Component/Hooks/useStateHook/UseStateWithArray'
+import { ClassCounter } from '../Component/Hooks/useEffectHook/ClassCounter'
+import { HookCounter } from '../Component/Hooks/useEffectHook/HookCounter'
+import { ClassMouse } from '../Component/Hooks/useEffectHook/ClassMouse'
+import { HookMouse } from '../Component/Hooks/useEffectHook/HookMouse'
+import { MouseContainer } from '../Component/Hooks/useEffectHook/MouseContainer'
+import { IntervalClassCounter } from '../Component/Hooks/useEffectHook/IntervalClassCounter'
+import { IntervalHookCounter } from '../Component/Hooks/useEffectHook/IntervalHookCounter'
+import { DataFetching } from '../Component/Hooks/useEffectHook/DataFetching'
+import MyTestApp from '../Component/Hooks/useEffectHook/useEffectHook'
+import { UseEffectAsync } from '../Component/Hooks/useEffectHook/DeepDive/UseEffectAsync'
+import { UseEffectTwo } from '../Component/Hooks/useEffectHook/DeepDive/dependency types/UseEffectTwo'
+import { UseEffectThree } from '../Component/Hooks/useEffectHook/DeepDive/Infinite Loop case/UseEffectThree'
+import UseEffectCompOne from '../Component/Hooks/useEffectHook/DeepDive/lifecycle/UseEffectCompOne'
+import UseEffectCompTwo from '../Component/Hooks/useEffectHook/DeepDive/lifecycle/UseEffectCompTwo'
+import UseEffectCleanup from '../Component/Hooks/useEffectHook/DeepDive/lifecycle/useEffectCleanup'
+import UseEffectCompThree from '../Component/Hooks/useEffectHook/DeepDive/useEffect-pitfalls/useEffectCompThree'
+import { CleanupApp } from '../Component/Hooks/useEffectHook/DeepDive/cleanup function issue/CleanupApp'
+import { MultipleHooks } from '../Component/Hooks/whyWeNeedHook/MultipleHooks'
+import { ComponentA } from '../Component/Hooks/useContextHook/ComponentA'
+import { ReducerCounterOne } from '../Component/Hooks/useReducerHook/ReducerCounterOne'
+import { ReducerCounterTwo } from '../Component/Hooks/useReducerHook/ReducerCounterTwo'
+import { ReducerCounterThree } from '../Component/Hooks/useReducerHook/ReducerCounterThree'
+import { DataFetchingOne } from '../Component/Hooks/useReducerHook/DataFetchingOne'
+import { DataFerchingTwo } from '../Component/Hooks/useReducerHook/DataFerchingTwo'
+import Form from '../Component/Hooks/useReducerHook/FormReducer/Form'
+import ParentComponent from '../Component/Hooks/useCallBackHook/ParentComponent'
+import { UsememoCompWithUseMemo, UseMemoCompWithUseMemoTwo } from '../Component/Hooks/useMemoHook/UseMemoCompOne'
+import { UseMemoCompTwo } from '../Component/Hooks/useMemoHook/UseMemoCompTwo'
+import { UsememoCompThree } from '../Component/Hooks/useMemoHook/UsememoCompThree'
+import { Input } from '../Component/Hooks/useRefHook/Input'
+import UseRefWithDebounce from '../Component/Hooks/useRefHook/UseRefWithDebounce'
+import { ClassRefCounter } from '../Component/Hooks/useRefHook/ClassRefCounter'
+import { HookRefCounter } from '../Component/Hooks/useRefHook/HookRefCounter'
+import { LayOutCompOne } from '../Component/Hooks/useLayOutEffect/LayOutCompOne'
+import { LayOutCompTwo } from '../Component/Hooks/useLayOutEffect/LayOutCompTwo'
+import { ExampleOne } from '../Component/Hooks/useTransition/ExampleOne'
+import { ClassCodeOne } from '../Component/ClassComponent/ClassCompBasics/ClassCodeOne'
+import { ClassCodeTwo } from '../Component/ClassComponent/ClassCompBasics/ClassCodeTwo'
+import { ClassCodeThree } from '../Component/ClassComponent/ClassCompBasics/ClassCodeThree'
+import { ParentClassComp } from '../Component/ClassComponent/ClassCompTwo/ParentClassComp'
+import { MyComponent } from '../Component/ClassComponent/createRef/MyComponent'
+import { FocusInput } from '../Component/ClassComponent/createRef/FocusInput'
+import FRParent from '../Component/ClassComponent/forwardRef/FRParent'
+import ClickCounter from '../Component/ClassComponent/HOC/HOCOne/ClickCounter'
+import HoverCounter from '../Component/ClassComponent/HOC/HOCOne/HoverCounter'
+import HOCTwoCompOne from '../Component/ClassComponent/HOC/HOCTwo/HOCTwoCompOne'
+import HOCTwoCompTwo from '../Component/ClassComponent/HOC/HOCTwo/HOCTwoCompTwo'
+import HocThreeCompOne from '../Component/ClassComponent/HOC/HOCThree/HocThreeCompOne'
+import HocThreeCompTwo from '../Component/ClassComponent/HOC/HOCThree/HocThreeCompTwo'
+import HeroHoc from '../Component/ClassComponent/HOC/HOCChallenge/HeroHoc'
+import { CounterOneForCustom } from '../Component/Custom Hooks/Counter/CounterOne'
+import { CounterTwoForCustom } from '../Component/Custom Hooks/Counter/CounterTwo'
+import { StorageDemo } from '../Component/Custom Hooks/Storage/StorageDemo'
+import { SessionSyncDemo } from '../Component/Custom Hooks/Storage/SessionSyncDemo'
+import { VersionedSettingsDemo } from '../Component/Custom Hooks/Storage/VersionedSettingsDemo'
+import { SearchBoxDemo } from '../Component/Custom Hooks/Debounce/SearchBoxDemo'
+import { SharedUserDemo } from '../Component/Custom Hooks/Query/SharedUserDemo'
+import ProductDerivedState from '../Component/Top Level React Concept/Derived State/ProductDerivedState'
+import ChallengeOne from '../Challenges/ChallengeOne'
+import { ChallengeTwo } from '../Challenges/ChallengeTwo'
+import ChallengeContainer from '../Challenges/ChallengeContainer'
+import { ClockParent } from '../Practice/Clock/Clock'
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced']
+
+// sections and their topics in the order the sidebar shows them
+export const sections = [
+    {
+        id: 'hooks',
+        title: 'Hooks',
+        topics: [
+            { id: 'use-state', title: 'useState' },
+            { id: 'use-effect', title: 'useEffect' },
+            { id: 'why-hooks', title: 'Why we need hooks' },
+            { id: 'use-context', title: 'useContext' },
+            { id: 'use-reducer', title: 'useReducer' },
+            { id: 'use-callback', title: 'useCallback' },
+            { id: 'use-memo', title: 'useMemo' },
+            { id: 'use-ref', title: 'useRef' },
+            { id: 'use-layout-effect', title: 'useLayoutEffect' },
+            { id: 'use-transition', title: 'useTransition' },
+        ],
+    },
+    {
+        id: 'class',
+        title: 'Class Components',
+        topics: [
+            { id: 'basics', title: 'Event binding' },
+            { id: 'parent-child', title: 'Parent and child' },
+            { id: 'create-ref', title: 'createRef' },
+            { id: 'forward-ref', title: 'forwardRef' },
+        ],
+    },
+    {
+        id: 'hoc',
+        title: 'Higher Order Components',
+        topics: [
+            { id: 'with-counter', title: 'withCounter' },
+            { id: 'with-dimensions', title: 'withDimensions' },
+            { id: 'with-fancy-text', title: 'withFancyText' },
+            { id: 'with-error-boundary', title: 'withErrorBoundary' },
+        ],
+    },
+    {
+        id: 'custom-hooks',
+        title: 'Custom Hooks',
+        topics: [
+            { id: 'use-counter', title: 'useCounter' },
+            { id: 'use-storage', title: 'useStorage' },
+            { id: 'use-debounce', title: 'Debounce and throttle' },
+            { id: 'use-query', title: 'useQuery' },
+        ],
+    },
+    {
+        id: 'concepts',
+        title: 'Top Level Concepts',
+        topics: [
+            { id: 'derived-state', title: 'Derived state' },
+        ],
+    },
+    {
+        id: 'challenges',
+        title: 'Challenges',
+        topics: [
+            { id: 'lifecycle', title: 'Effect lifecycle' },
+        ],
+    },
+    {
+        id: 'practice',
+        title: 'Practice',
+        topics: [
+            { id: 'clock', title: 'Clock' },
+        ],
+    },
+]
+
+// notes that are not tied to a single demo, the deep dive roadmap links to the rest of src/react-deep-dive
+export const notes = [
+    { title: 'React deep dive roadmap', path: 'src/react-deep-dive/ROADMAP.md' },
+    { title: 'useEffect cleanup lifecycle', path: 'Notes/useEffect-cleanup-lifecyle.md' },
+    { title: 'Custom hooks', path: 'src/Component/Custom Hooks/redadme.md' },
+    { title: 'HOC resources', path: 'src/Component/ClassComponent/HOC/resources.md' },
+]
+
+export const demos = [
+    // hooks
+    {
+        section: 'hooks',
+        topic: 'use-state',
+        slug: 'counter-one',
+        title: 'CounterOne',
+        component: CounterOne,
+        difficulty: 'beginner',
+        tags: ['state'],
+        source: 'src/Component/Hooks/useStateHook/CounterOne.jsx',
+        note: 'src/Component/Hooks/useStateHook/Notes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-state',
+        slug: 'counter-two',
+        title: 'CounterTwo',
+        component: CounterTwo,
+        difficulty: 'beginner',
+        tags: ['state', 'updater function', 'batching'],
+        source: 'src/Component/Hooks/useStateHook/CounterTwo.jsx',
+        note: 'src/Component/Hooks/useStateHook/Notes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-state',
+        slug: 'counter-three',
+        title: 'CounterThree (async update)',
+        component: CounterThree,
+        difficulty: 'intermediate',
+        tags: ['state', 'closure', 'stale state', 'setTimeout'],
+        source: 'src/Component/Hooks/useStateHook/CounterThree.jsx',
+        note: 'src/Component/Hooks/useStateHook/Notes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-state',
+        slug: 'with-object',
+        title: 'useState with object',
+        component: UseSateWithObject,
+        difficulty: 'beginner',
+        tags: ['state', 'object', 'merge'],
+        source: 'src/Component/Hooks/useStateHook/UseSateWithObject.jsx',
+        note: 'src/Component/Hooks/useStateHook/Notes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-state',
+        slug: 'with-array',
+        title: 'useState with array (todo)',
+        component: UseSttaeWithArray,
+        difficulty: 'beginner',
+        tags: ['state', 'array'],
+        source: 'src/Component/Hooks/useStateHook/UseStateWithArray.jsx',
+        note: 'src/Component/Hooks/useStateHook/Notes.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'class-counter',
+        title: 'ClassCounter',
+        component: ClassCounter,
+        difficulty: 'beginner',
+        tags: ['lifecycle', 'class', 'document title'],
+        source: 'src/Component/Hooks/useEffectHook/ClassCounter.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'hook-counter',
+        title: 'HookCounter',
+        component: HookCounter,
+        difficulty: 'beginner',
+        tags: ['dependency array', 'document title'],
+        source: 'src/Component/Hooks/useEffectHook/HookCounter.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'class-mouse',
+        title: 'ClassMouse',
+        component: ClassMouse,
+        difficulty: 'beginner',
+        tags: ['event listener', 'class', 'cleanup'],
+        source: 'src/Component/Hooks/useEffectHook/ClassMouse.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'hook-mouse',
+        title: 'HookMouse',
+        component: HookMouse,
+        difficulty: 'beginner',
+        tags: ['event listener', 'cleanup', 'closure'],
+        source: 'src/Component/Hooks/useEffectHook/HookMouse.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'mouse-container',
+        title: 'MouseContainer (cleanup)',
+        component: MouseContainer,
+        difficulty: 'intermediate',
+        tags: ['event listener', 'cleanup', 'unmount', 'requestAnimationFrame', 'render props'],
+        source: 'src/Component/Hooks/useEffectHook/MouseContainer.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'interval-class-counter',
+        title: 'IntervalClassCounter',
+        component: IntervalClassCounter,
+        difficulty: 'beginner',
+        tags: ['interval', 'class', 'cleanup'],
+        source: 'src/Component/Hooks/useEffectHook/IntervalClassCounter.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'interval-hook-counter',
+        title: 'IntervalHookCounter',
+        component: IntervalHookCounter,
+        difficulty: 'intermediate',
+        tags: ['interval', 'cleanup', 'dependency array'],
+        source: 'src/Component/Hooks/useEffectHook/IntervalHookCounter.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'data-fetching',
+        title: 'DataFetching',
+        component: DataFetching,
+        difficulty: 'beginner',
+        tags: ['fetch', 'dependency array'],
+        source: 'src/Component/Hooks/useEffectHook/DataFetching.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'theme',
+        title: 'MyTestApp (theme)',
+        component: MyTestApp,
+        difficulty: 'beginner',
+        tags: ['context', 'theme'],
+        source: 'src/Component/Hooks/useEffectHook/useEffectHook.jsx',
+        note: 'src/Component/Custom Hooks/Theme/readme.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'async',
+        title: 'UseEffectAsync',
+        component: UseEffectAsync,
+        difficulty: 'beginner',
+        tags: ['render order', 'document title'],
+        source: 'src/Component/Hooks/useEffectHook/DeepDive/UseEffectAsync.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'dependency-types',
+        title: 'Dependency types',
+        component: UseEffectTwo,
+        difficulty: 'intermediate',
+        tags: ['dependency array', 'referential equality', 'useMemo'],
+        source: 'src/Component/Hooks/useEffectHook/DeepDive/dependency types/UseEffectTwo.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'infinite-loop',
+        title: 'Infinite loop case',
+        component: UseEffectThree,
+        difficulty: 'intermediate',
+        tags: ['infinite loop', 'interval', 'updater function'],
+        source: 'src/Component/Hooks/useEffectHook/DeepDive/Infinite Loop case/UseEffectThree.jsx',
+        note: 'src/react-deep-dive/common-pitfalls/infinite-loops-useeffect/README.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'lifecycle-one',
+        title: 'Lifecycle: dependencies',
+        component: UseEffectCompOne,
+        difficulty: 'beginner',
+        tags: ['lifecycle', 'dependency array', 'console'],
+        source: 'src/Component/Hooks/useEffectHook/DeepDive/lifecycle/UseEffectCompOne.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'lifecycle-two',
+        title: 'Lifecycle: object dependency',
+        component: UseEffectCompTwo,
+        difficulty: 'intermediate',
+        tags: ['lifecycle', 'referential equality', 'useMemo'],
+        source: 'src/Component/Hooks/useEffectHook/DeepDive/lifecycle/UseEffectCompTwo.jsx',
+        note: 'src/Component/Hooks/useEffectHook/useEffectNotes.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'lifecycle-cleanup',
+        title: 'Lifecycle: cleanup',
+        component: UseEffectCleanup,
+        difficulty: 'beginner',
+        tags: ['lifecycle', 'cleanup', 'console'],
+        source: 'src/Component/Hooks/useEffectHook/DeepDive/lifecycle/useEffectCleanup.jsx',
+        note: 'Notes/useEffect-cleanup-lifecyle.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'pitfalls',
+        title: 'Pitfalls: interval',
+        component: UseEffectCompThree,
+        difficulty: 'intermediate',
+        tags: ['interval', 'cleanup', 'memory leak'],
+        source: 'src/Component/Hooks/useEffectHook/DeepDive/useEffect-pitfalls/useEffectCompThree.jsx',
+        note: 'src/react-deep-dive/common-pitfalls/memory-leaks/README.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-effect',
+        slug: 'cleanup',
+        title: 'Cleanup: posts and users app',
+        component: CleanupApp,
+        // has its own routes (posts, posts-flag, users/:id, axios/users/:id) below this url
+        nested: true,
+        difficulty: 'advanced',
+        tags: ['fetch', 'cleanup', 'unmount', 'race condition', 'AbortController', 'axios'],
+        source: 'src/Component/Hooks/useEffectHook/DeepDive/cleanup function issue/CleanupApp.jsx',
+        note: 'Notes/useEffect-cleanup-lifecyle.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'why-hooks',
+        slug: 'multiple-hooks',
+        title: 'MultipleHooks',
+        component: MultipleHooks,
+        difficulty: 'beginner',
+        tags: ['motivation', 'interval'],
+        source: 'src/Component/Hooks/whyWeNeedHook/MultipleHooks.jsx',
+        note: 'src/Component/Hooks/whyWeNeedHook/notes.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'use-context',
+        slug: 'consumers',
+        title: 'Context consumers',
+        component: ComponentA,
+        difficulty: 'intermediate',
+        tags: ['context', 'Consumer', 'class'],
+        source: 'src/Component/Hooks/useContextHook/ComponentA.jsx',
+        note: 'src/Component/Hooks/useContextHook/useContextNotes.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'use-reducer',
+        slug: 'counter-one',
+        title: 'ReducerCounterOne',
+        component: ReducerCounterOne,
+        difficulty: 'beginner',
+        tags: ['reducer', 'dispatch'],
+        source: 'src/Component/Hooks/useReducerHook/ReducerCounterOne.jsx',
+        note: 'src/Component/Hooks/useReducerHook/useReducerHook.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-reducer',
+        slug: 'counter-two',
+        title: 'ReducerCounterTwo',
+        component: ReducerCounterTwo,
+        difficulty: 'beginner',
+        tags: ['reducer', 'action object'],
+        source: 'src/Component/Hooks/useReducerHook/ReducerCounterTwo.jsx',
+        note: 'src/Component/Hooks/useReducerHook/useReducerHook.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-reducer',
+        slug: 'counter-three',
+        title: 'ReducerCounterThree (lazy init)',
+        component: ReducerCounterThree,
+        props: { initialCount: 0 },
+        difficulty: 'intermediate',
+        tags: ['reducer', 'lazy init'],
+        source: 'src/Component/Hooks/useReducerHook/ReducerCounterThree.jsx',
+        note: 'src/Component/Hooks/useReducerHook/useReducerHook.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-reducer',
+        slug: 'data-fetching-one',
+        title: 'DataFetchingOne (useState)',
+        component: DataFetchingOne,
+        difficulty: 'beginner',
+        tags: ['fetch', 'loading state'],
+        source: 'src/Component/Hooks/useReducerHook/DataFetchingOne.jsx',
+        note: 'src/Component/Hooks/useReducerHook/useReducerHook.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-reducer',
+        slug: 'data-fetching-two',
+        title: 'DataFetchingTwo (useReducer)',
+        component: DataFerchingTwo,
+        difficulty: 'intermediate',
+        tags: ['fetch', 'reducer', 'loading state'],
+        source: 'src/Component/Hooks/useReducerHook/DataFerchingTwo.jsx',
+        note: 'src/Component/Hooks/useReducerHook/useReducerHook.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-reducer',
+        slug: 'form',
+        title: 'Product form',
+        component: Form,
+        difficulty: 'intermediate',
+        tags: ['reducer', 'form', 'nested state'],
+        source: 'src/Component/Hooks/useReducerHook/FormReducer/Form.jsx',
+        note: 'src/Component/Hooks/useReducerHook/useReducerHook.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'use-callback',
+        slug: 'parent',
+        title: 'ParentComponent',
+        component: ParentComponent,
+        profile: {
+            labels: {
+                Count: ({ text }) => `Count (${text})`,
+                Button: ({ children }) => `Button (${children})`,
+            },
+        },
+        difficulty: 'intermediate',
+        tags: ['memoization', 'React.memo', 'useCallback'],
+        source: 'src/Component/Hooks/useCallBackHook/ParentComponent.js',
+        note: 'src/Component/Hooks/useCallBackHook/useCallBackHook.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'use-memo',
+        slug: 'expensive-total',
+        title: 'Memoized total',
+        component: UsememoCompWithUseMemo,
+        profile: true,
+        difficulty: 'intermediate',
+        tags: ['memoization', 'expensive calculation'],
+        source: 'src/Component/Hooks/useMemoHook/UseMemoCompOne.jsx',
+        note: 'src/Component/Hooks/useMemoHook/readme.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-memo',
+        slug: 'expensive-sum',
+        title: 'Sum without useMemo',
+        component: UseMemoCompWithUseMemoTwo,
+        profile: true,
+        difficulty: 'intermediate',
+        tags: ['memoization', 'expensive calculation'],
+        source: 'src/Component/Hooks/useMemoHook/UseMemoCompOne.jsx',
+        note: 'src/Component/Hooks/useMemoHook/readme.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-memo',
+        slug: 'move-state-down',
+        title: 'Move state down',
+        component: UseMemoCompTwo,
+        profile: true,
+        difficulty: 'advanced',
+        tags: ['memoization', 'composition', 're-render'],
+        source: 'src/Component/Hooks/useMemoHook/UseMemoCompTwo.jsx',
+        note: 'src/Component/Hooks/useMemoHook/readme.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-memo',
+        slug: 'lift-content-up',
+        title: 'Lift content up',
+        component: UsememoCompThree,
+        profile: true,
+        difficulty: 'advanced',
+        tags: ['memoization', 'composition', 'children'],
+        source: 'src/Component/Hooks/useMemoHook/UsememoCompThree.jsx',
+        note: 'src/Component/Hooks/useMemoHook/readme.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'use-ref',
+        slug: 'input',
+        title: 'Input focus',
+        component: Input,
+        difficulty: 'beginner',
+        tags: ['dom', 'focus'],
+        source: 'src/Component/Hooks/useRefHook/Input.jsx',
+        note: 'src/Component/Hooks/useRefHook/readme.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-ref',
+        slug: 'debounce',
+        title: 'useRef with debounce',
+        component: UseRefWithDebounce,
+        difficulty: 'intermediate',
+        tags: ['debounce', 'stale closure', 'search'],
+        source: 'src/Component/Hooks/useRefHook/UseRefWithDebounce.jsx',
+        note: 'src/Component/Hooks/useRefHook/readme.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-ref',
+        slug: 'class-counter',
+        title: 'ClassRefCounter',
+        component: ClassRefCounter,
+        difficulty: 'beginner',
+        tags: ['interval', 'class', 'instance field'],
+        source: 'src/Component/Hooks/useRefHook/ClassRefCounter.jsx',
+        note: 'src/Component/Hooks/useRefHook/readme.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-ref',
+        slug: 'hook-counter',
+        title: 'HookRefCounter',
+        component: HookRefCounter,
+        difficulty: 'beginner',
+        tags: ['interval', 'mutable value'],
+        source: 'src/Component/Hooks/useRefHook/HookRefCounter.jsx',
+        note: 'src/Component/Hooks/useRefHook/readme.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'use-layout-effect',
+        slug: 'modal',
+        title: 'Modal position',
+        component: LayOutCompOne,
+        difficulty: 'intermediate',
+        tags: ['layout', 'paint', 'dom measurement'],
+        source: 'src/Component/Hooks/useLayOutEffect/LayOutCompOne.jsx',
+        note: 'src/Component/Hooks/useLayOutEffect/note.md',
+    },
+    {
+        section: 'hooks',
+        topic: 'use-layout-effect',
+        slug: 'scroll',
+        title: 'Scroll to bottom',
+        component: LayOutCompTwo,
+        difficulty: 'intermediate',
+        tags: ['layout', 'scroll', 'fetch'],
+        source: 'src/Component/Hooks/useLayOutEffect/LayOutCompTwo.jsx',
+        note: 'src/Component/Hooks/useLayOutEffect/note.md',
+    },
+
+    {
+        section: 'hooks',
+        topic: 'use-transition',
+        slug: 'list',
+        title: 'Large list',
+        component: ExampleOne,
+        difficulty: 'advanced',
+        tags: ['concurrent', 'transition', 'large list'],
+        source: 'src/Component/Hooks/useTransition/ExampleOne.jsx',
+        note: 'src/react-deep-dive/react-18-improvements/concurrent-rendering/README.md',
+    },
+
+    // class components
+    {
+        section: 'class',
+        topic: 'basics',
+        slug: 'this-binding',
+        title: 'ClassCodeOne',
+        component: ClassCodeOne,
+        difficulty: 'beginner',
+        tags: ['this', 'event handler'],
+        source: 'src/Component/ClassComponent/ClassCompBasics/ClassCodeOne.js',
+        note: 'src/react-deep-dive/class-components/README.md',
+    },
+    {
+        section: 'class',
+        topic: 'basics',
+        slug: 'handlers',
+        title: 'ClassCodeTwo',
+        component: ClassCodeTwo,
+        difficulty: 'beginner',
+        tags: ['this', 'bind', 'event handler'],
+        source: 'src/Component/ClassComponent/ClassCompBasics/ClassCodeTwo.js',
+        note: 'src/react-deep-dive/class-components/README.md',
+    },
+    {
+        section: 'class',
+        topic: 'basics',
+        slug: 'handlers-with-params',
+        title: 'ClassCodeThree',
+        component: ClassCodeThree,
+        difficulty: 'beginner',
+        tags: ['this', 'bind', 'event handler', 'params'],
+        source: 'src/Component/ClassComponent/ClassCompBasics/ClassCodeThree.js',
+        note: 'src/react-deep-dive/class-components/README.md',
+    },
+    {
+        section: 'class',
+        topic: 'parent-child',
+        slug: 'greet',
+        title: 'ParentClassComp',
+        component: ParentClassComp,
+        difficulty: 'beginner',
+        tags: ['props', 'callback'],
+        source: 'src/Component/ClassComponent/ClassCompTwo/ParentClassComp.jsx',
+        note: 'src/react-deep-dive/react-philosophy/unidirectional-data-flow/README.md',
+    },
+    {
+        section: 'class',
+        topic: 'create-ref',
+        slug: 'string-refs',
+        title: 'MyComponent (string refs)',
+        component: MyComponent,
+        props: { headerText: 'this is header text', children: 'this is Ref example' },
+        difficulty: 'intermediate',
+        tags: ['refs', 'legacy', 'event listener'],
+        source: 'src/Component/ClassComponent/createRef/MyComponent.jsx',
+        note: 'src/Component/ClassComponent/createRef/readme.md',
+    },
+    {
+        section: 'class',
+        topic: 'create-ref',
+        slug: 'focus-input',
+        title: 'FocusInput',
+        component: FocusInput,
+        difficulty: 'beginner',
+        tags: ['refs', 'focus'],
+        source: 'src/Component/ClassComponent/createRef/FocusInput.jsx',
+        note: 'src/Component/ClassComponent/createRef/readme.md',
+    },
+    {
+        section: 'class',
+        topic: 'forward-ref',
+        slug: 'parent',
+        title: 'FRParent',
+        component: FRParent,
+        difficulty: 'intermediate',
+        tags: ['refs', 'forwardRef', 'focus'],
+        source: 'src/Component/ClassComponent/forwardRef/FRParent.jsx',
+        note: 'src/Component/ClassComponent/forwardRef/readme.md',
+    },
+
+    // higher order components
+    {
+        section: 'hoc',
+        topic: 'with-counter',
+        slug: 'click-counter',
+        title: 'ClickCounter',
+        component: ClickCounter,
+        props: { name: 'clickCount' },
+        difficulty: 'beginner',
+        tags: ['hoc', 'shared state'],
+        source: 'src/Component/ClassComponent/HOC/HOCOne/ClickCounter.jsx',
+        note: 'src/Component/ClassComponent/HOC/note.md',
+    },
+    {
+        section: 'hoc',
+        topic: 'with-counter',
+        slug: 'hover-counter',
+        title: 'HoverCounter',
+        component: HoverCounter,
+        difficulty: 'beginner',
+        tags: ['hoc', 'shared state'],
+        source: 'src/Component/ClassComponent/HOC/HOCOne/HoverCounter.jsx',
+        note: 'src/Component/ClassComponent/HOC/note.md',
+    },
+    {
+        section: 'hoc',
+        topic: 'with-dimensions',
+        slug: 'comp-one',
+        title: 'HOCTwoCompOne',
+        component: HOCTwoCompOne,
+        props: { name: 'first' },
+        difficulty: 'intermediate',
+        tags: ['hoc', 'forwardRef', 'dom measurement'],
+        source: 'src/Component/ClassComponent/HOC/HOCTwo/HOCTwoCompOne.jsx',
+        note: 'src/Component/ClassComponent/HOC/HOCTwo/readMe.md',
+    },
+    {
+        section: 'hoc',
+        topic: 'with-dimensions',
+        slug: 'comp-two',
+        title: 'HOCTwoCompTwo',
+        component: HOCTwoCompTwo,
+        props: { name: 'second', variant: 'two' },
+        difficulty: 'intermediate',
+        tags: ['hoc', 'forwardRef', 'dom measurement'],
+        source: 'src/Component/ClassComponent/HOC/HOCTwo/HOCTwoCompTwo.jsx',
+        note: 'src/Component/ClassComponent/HOC/HOCTwo/readMe.md',
+    },
+    {
+        section: 'hoc',
+        topic: 'with-fancy-text',
+        slug: 'comp-one',
+        title: 'HocThreeCompOne',
+        component: HocThreeCompOne,
+        props: { text: 'HocThreeCompOne' },
+        difficulty: 'beginner',
+        tags: ['hoc', 'styling'],
+        source: 'src/Component/ClassComponent/HOC/HOCThree/HocThreeCompOne.jsx',
+        note: 'src/Component/ClassComponent/HOC/note.md',
+    },
+    {
+        section: 'hoc',
+        topic: 'with-fancy-text',
+        slug: 'comp-two',
+        title: 'HocThreeCompTwo',
+        component: HocThreeCompTwo,
+        props: { text: 'HocThreeCompTwo' },
+        difficulty: 'beginner',
+        tags: ['hoc', 'styling'],
+        source: 'src/Component/ClassComponent/HOC/HOCThree/HocThreeCompTwo.jsx',
+        note: 'src/Component/ClassComponent/HOC/note.md',
+    },
+    {
+        section: 'hoc',
+        topic: 'with-error-boundary',
+        slug: 'hero',
+        title: 'HeroHoc',
+        component: HeroHoc,
+        props: { name: 'joker' },
+        difficulty: 'intermediate',
+        tags: ['hoc', 'error boundary'],
+        source: 'src/Component/ClassComponent/HOC/HOCChallenge/HeroHoc.jsx',
+        note: 'src/Component/ClassComponent/HOC/HOCChallenge/hoc_challenge.md',
+    },
+
+    // custom hooks
+    {
+        section: 'custom-hooks',
+        topic: 'use-counter',
+        slug: 'counter-one',
+        title: 'CounterOne',
+        component: CounterOneForCustom,
+        difficulty: 'beginner',
+        tags: ['custom hook', 'counter'],
+        source: 'src/Component/Custom Hooks/Counter/CounterOne.jsx',
+        note: 'src/Component/Custom Hooks/Counter/readme.md',
+    },
+    {
+        section: 'custom-hooks',
+        topic: 'use-counter',
+        slug: 'counter-two',
+        title: 'CounterTwo',
+        component: CounterTwoForCustom,
+        difficulty: 'beginner',
+        tags: ['custom hook', 'counter'],
+        source: 'src/Component/Custom Hooks/Counter/CounterTwo.jsx',
+        note: 'src/Component/Custom Hooks/Counter/readme.md',
+    },
+    {
+        section: 'custom-hooks',
+        topic: 'use-storage',
+        slug: 'storage',
+        title: 'useStorage backends',
+        component: StorageDemo,
+        difficulty: 'intermediate',
+        tags: ['custom hook', 'localStorage', 'sessionStorage', 'useSyncExternalStore'],
+        source: 'src/Component/Custom Hooks/Storage/StorageDemo.jsx',
+        note: 'src/Component/Custom Hooks/Storage/readme.md',
+    },
+    {
+        section: 'custom-hooks',
+        topic: 'use-storage',
+        slug: 'session-sync',
+        title: 'useSessionStorage in sync',
+        component: SessionSyncDemo,
+        difficulty: 'intermediate',
+        tags: ['custom hook', 'sessionStorage', 'BroadcastChannel'],
+        source: 'src/Component/Custom Hooks/Storage/SessionSyncDemo.jsx',
+        note: 'src/Component/Custom Hooks/Storage/readme.md',
+    },
+    {
+        section: 'custom-hooks',
+        topic: 'use-storage',
+        slug: 'versioned',
+        title: 'Versioned settings',
+        component: VersionedSettingsDemo,
+        difficulty: 'advanced',
+        tags: ['custom hook', 'localStorage', 'migrations'],
+        source: 'src/Component/Custom Hooks/Storage/VersionedSettingsDemo.jsx',
+        note: 'src/Component/Custom Hooks/Storage/readme.md',
+    },
+    {
+        section: 'custom-hooks',
+        topic: 'use-debounce',
+        slug: 'search-box',
+        title: 'Debounced search box',
+        component: SearchBoxDemo,
+        difficulty: 'intermediate',
+        tags: ['custom hook', 'debounce', 'throttle', 'search'],
+        source: 'src/Component/Custom Hooks/Debounce/SearchBoxDemo.jsx',
+        note: 'src/Component/Custom Hooks/Debounce/readme.md',
+    },
+    {
+        section: 'custom-hooks',
+        topic: 'use-query',
+        slug: 'shared-user',
+        title: 'One user, three cards, one request',
+        component: SharedUserDemo,
+        difficulty: 'advanced',
+        tags: ['custom hook', 'fetch', 'cache', 'deduplication', 'stale-while-revalidate'],
+        source: 'src/Component/Custom Hooks/Query/SharedUserDemo.jsx',
+        note: 'src/Component/Custom Hooks/Query/readme.md',
+    },
+
+    // concepts
+    {
+        section: 'concepts',
+        topic: 'derived-state',
+        slug: 'products',
+        title: 'ProductDerivedState',
+        component: ProductDerivedState,
+        difficulty: 'intermediate',
+        tags: ['derived state', 'state'],
+        source: 'src/Component/Top Level React Concept/Derived State/ProductDerivedState.jsx',
+        note: 'src/Component/Top Level React Concept/Derived State/Readme.md',
+    },
+
+    // challenges
+    {
+        section: 'challenges',
+        topic: 'lifecycle',
+        slug: 'challenge-one',
+        title: 'ChallengeOne',
+        component: ChallengeOne,
+        difficulty: 'advanced',
+        tags: ['lifecycle', 'cleanup', 'log order'],
+        source: 'src/Challenges/ChallengeOne.jsx',
+        note: 'Notes/useEffect-cleanup-lifecyle.md',
+    },
+    {
+        section: 'challenges',
+        topic: 'lifecycle',
+        slug: 'challenge-two',
+        title: 'ChallengeTwo',
+        component: ChallengeTwo,
+        difficulty: 'advanced',
+        tags: ['lifecycle', 'cleanup', 'log order'],
+        source: 'src/Challenges/ChallengeTwo.jsx',
+        note: 'Notes/useEffect-cleanup-lifecyle.md',
+    },
+    {
+        section: 'challenges',
+        topic: 'lifecycle',
+        slug: 'parent-unmount',
+        title: 'ChallengeTwo (parent unmount)',
+        component: ChallengeContainer,
+        difficulty: 'advanced',
+        tags: ['lifecycle', 'cleanup', 'unmount'],
+        source: 'src/Challenges/ChallengeContainer.jsx',
+        note: 'Notes/useEffect-cleanup-lifecyle.md',
+    },
+
+    // practice
+    {
+        section: 'practice',
+        topic: 'clock',
+        slug: 'clock-parent',
+        title: 'ClockParent',
+        component: ClockParent,
+        difficulty: 'beginner',
+        tags: ['props', 'immutability', 'custom hook', 'Intl', 'timer'],
+        source: 'src/Practice/Clock/Clock.jsx',
+        note: 'src/Practice/Clock/readme.md',
+    },
+]
+
+export const demoPath = (demo) => `/${demo.section}/${demo.topic}/${demo.slug}`
+
+export const demoRoutePath = (demo) => (demo.nested ? `${demoPath(demo)}/*` : demoPath(demo))
+
+export const demosByTopic = (sectionId, topicId) => demos.filter(demo => demo.section === sectionId && demo.topic === topicId)
+
+export const findDemo = (path) => demos.find(demo => demoPath(demo) === path)
+
+export const findSection = (sectionId) => sections.find(section => section.id === sectionId)
+
+export const topicTitle = (demo) => {
+    const topic = findSection(demo.section)?.topics.find(topic => topic.id === demo.topic)
+    return topic ? topic.title : demo.topic
+}
+
+export const allTags = () => [...new Set(demos.flatMap(demo => demo.tags))].sort()
+
+// every word of the query has to show up somewhere in the demo's title, topic, tags or file paths
+const searchableText = (demo) => [demo.title, topicTitle(demo), demo.topic, ...demo.tags, demo.source, demo.note || '']
+    .join(' ')
+    .toLowerCase()
+
+export const searchDemos = ({ query = '', section = '', difficulty = '', tag = '' } = {}) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+    return demos.filter(demo => {
+        if (section && demo.section !== section) return false
+        if (difficulty && demo.difficulty !== difficulty) return false
+        if (tag && !demo.tags.includes(tag)) return false
+        const text = searchableText(demo)
+        return words.every(word => text.includes(word))
+    })
+}
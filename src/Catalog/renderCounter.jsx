@@ -0,0 +1,218 @@
+import React, { useEffect, useRef, useSyncExternalStore } from 'react'
+import { createStore } from '../Component/Custom Hooks/ExternalStore/createStore'
+import { subscribeCommits } from './commitHook'
+import { useTraceScope } from './lifecycleTrace'
+
+// render counts and durations for every component of a demo, for comparing memoized and unmemoized children
+//
+//   <Profiled labels={{ Count: ({ text }) => `Count (${text})` }}>
+//       <Demo />
+//   </Profiled>
+//
+// DemoPage wraps the demos the registry marks with profile, the lesson files stay as they are:
+// after every commit (commitHook.js) the fibers under <Profiled> are walked and each component that rendered is counted,
+// its duration is fiber.actualDuration, the time it and its children took, so a child that memo / useMemo / moving state
+// saved keeps its count while its parent's goes up
+// labels tell the instances of one component apart (two <Count>s), by component name, from that instance's props
+//
+// fibers are React internals, the same fields React DevTools reads: the tags and the PerformedWork flag below are React 18's
+// actualDuration only exists in development builds (and react-dom/profiling), a production build shows no counts
+const profilerRuns = () => process.env.NODE_ENV !== 'production'
+
+const FUNCTION_COMPONENT = 0
+const CLASS_COMPONENT = 1
+const HOST_COMPONENT = 5
+const FORWARD_REF = 11
+const SIMPLE_MEMO_COMPONENT = 15
+// React.memo with a compare function is a MemoComponent around the real one, that one is counted
+const COMPONENT_TAGS = [FUNCTION_COMPONENT, CLASS_COMPONENT, FORWARD_REF, SIMPLE_MEMO_COMPONENT]
+const PERFORMED_WORK = 1
+
+// the commit hook records while React is committing, the store tells the overlay a tick later
+const store = createStore({ scope: undefined, byName: {} })
+
+export const subscribeRenderCounts = store.subscribe
+
+export const getRenderCounts = store.get
+
+export const resetRenderCounts = () => {
+    store.set(counts => ({ ...counts, byName: {} }))
+}
+
+const recordRender = (scope, name, actualDuration) => {
+    // counters belong to one demo, the first render of another one starts over
+    const counts = store.get().scope === scope ? store.get() : { scope, byName: {} }
+    const previous = counts.byName[name] || { name, renders: 0, lastDuration: 0, totalDuration: 0 }
+    const next = {
+        ...previous,
+        renders: previous.renders + 1,
+        lastDuration: actualDuration,
+        totalDuration: previous.totalDuration + actualDuration,
+    }
+    store.set({ ...counts, byName: { ...counts.byName, [name]: next } })
+}
+
+const formatMs = (ms) => `${ms.toFixed(1)}ms`
+
+const badgeText = (counter) => {
+    if (!counter) return '0 renders'
+    const average = counter.totalDuration / counter.renders
+    return `${counter.renders} ${counter.renders === 1 ? 'render' : 'renders'} · last ${formatMs(counter.lastDuration)} · avg ${formatMs(average)}`
+}
+
+// marks where a profiled demo starts in the fiber tree, its props are what the commit walk needs
+const ProfileBoundary = ({ children }) => children
+
+const componentLabel = (fiber, labels) => {
+    const type = fiber.tag === FORWARD_REF ? fiber.type.render : fiber.type
+    const name = fiber.type.displayName || type.displayName || type.name || 'Anonymous'
+    const label = labels && labels[name]
+    return label ? label(fiber.memoizedProps) : name
+}
+
+// a fiber without an alternate was mounted in this commit, one that did work has the PerformedWork flag,
+// and a fiber whose child is still the previous commit's child was skipped together with everything below it
+const collectRendered = (fiber, boundary, rendered) => {
+    const previous = fiber.alternate
+    if (fiber.type === ProfileBoundary) {
+        boundary = fiber
+    } else if (boundary && COMPONENT_TAGS.includes(fiber.tag) && (!previous || (fiber.flags & PERFORMED_WORK))) {
+        rendered.push({ boundary, fiber })
+    }
+    if (previous && fiber.child === previous.child) return
+    for (let child = fiber.child; child; child = child.sibling) {
+        collectRendered(child, boundary, rendered)
+    }
+}
+
+const eachComponent = (fiber, visit) => {
+    for (let current = fiber; current; current = current.sibling) {
+        if (COMPONENT_TAGS.includes(current.tag)) visit(current)
+        eachComponent(current.child, visit)
+    }
+}
+
+const firstElement = (fiber) => {
+    for (let child = fiber.child; child; child = child.sibling) {
+        if (child.tag === HOST_COMPONENT) return child.stateNode
+        const element = firstElement(child)
+        if (element) return element
+    }
+    return null
+}
+
+const updateBadges = (layer) => {
+    const { byName } = store.get()
+    layer.querySelectorAll('.render-badge').forEach(badge => {
+        badge.textContent = `${badge.title} · ${badgeText(byName[badge.title])}`
+    })
+}
+
+// a badge on every component of the demo, written straight into the layer above it: rendering them would be
+// one more commit to walk. components that start at the same height (a parent and its first child) share a row
+const placeBadges = (boundary) => {
+    const { layer, labels } = boundary.memoizedProps
+    if (!layer.current) return
+    const origin = layer.current.getBoundingClientRect().top
+    const rows = new Map()
+    eachComponent(boundary.child, fiber => {
+        const element = firstElement(fiber)
+        const label = componentLabel(fiber, labels)
+        if (!element || [...rows.values()].some(row => row.includes(label))) return
+        const top = Math.round(element.getBoundingClientRect().top - origin)
+        rows.set(top, [...(rows.get(top) || []), label])
+    })
+    layer.current.textContent = ''
+    rows.forEach((labelsInRow, top) => {
+        const row = document.createElement('div')
+        row.className = 'render-badge-row'
+        row.style.top = `${top}px`
+        labelsInRow.forEach(label => {
+            const badge = document.createElement('span')
+            badge.className = 'render-badge'
+            badge.title = label
+            row.append(badge)
+        })
+        layer.current.append(row)
+    })
+    updateBadges(layer.current)
+}
+
+subscribeCommits(root => {
+    if (!profilerRuns()) return
+    const rendered = []
+    collectRendered(root.current, null, rendered)
+    const boundaries = new Set()
+    rendered.forEach(({ boundary, fiber }) => {
+        const { scope, labels } = boundary.memoizedProps
+        recordRender(scope, componentLabel(fiber, labels), fiber.actualDuration || 0)
+        boundaries.add(boundary)
+    })
+    boundaries.forEach(placeBadges)
+})
+
+// the badge layers on screen, a reset (or another demo) changes their numbers without a commit inside the demo
+const layers = new Set()
+store.subscribe(() => layers.forEach(updateBadges))
+
+export const Profiled = ({ labels, children }) => {
+    const scope = useTraceScope()
+    const layer = useRef(null)
+
+    useEffect(() => {
+        const current = layer.current
+        if (!current) return
+        layers.add(current)
+        return () => {
+            layers.delete(current)
+        }
+    }, [])
+
+    return (
+        <div className="profiled">
+            <ProfileBoundary scope={scope} labels={labels} layer={layer}>
+                {children}
+            </ProfileBoundary>
+            {profilerRuns() && <div className="render-badges" ref={layer} aria-hidden="true" />}
+        </div>
+    )
+}
+
+// sits next to the demo, outside the profiled tree, so it can re-render as often as it likes
+export const RenderCountOverlay = ({ scope }) => {
+    const { scope: countedScope, byName } = useSyncExternalStore(subscribeRenderCounts, getRenderCounts)
+    const counters = countedScope === scope ? Object.values(byName) : []
+
+    return (
+        <section className="render-overlay" aria-label="Render counts">
+            <header>
+                <h2>Renders</h2>
+                <button type="button" onClick={resetRenderCounts} disabled={!profilerRuns()}>reset counters</button>
+            </header>
+            {profilerRuns() ? (
+                <table>
+                    <thead>
+                        <tr>
+                            <th>component</th>
+                            <th>renders</th>
+                            <th>last</th>
+                            <th>avg</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {counters.map(counter => (
+                            <tr key={counter.name} aria-label={counter.name}>
+                                <td>{counter.name}</td>
+                                <td>{counter.renders}</td>
+                                <td>{formatMs(counter.lastDuration)}</td>
+                                <td>{formatMs(counter.totalDuration / counter.renders)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <p>render counts need a development build, run it with npm start</p>
+            )}
+        </section>
+    )
+}
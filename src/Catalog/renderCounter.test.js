@@ -0,0 +1,35 @@
+import { cleanup, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { RenderCountOverlay } from './renderCounter';
+import { mockFetch, renderDemoPage } from '../testUtils';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('typing in a form that owns its state renders the form and not the expensive sibling', async () => {
+  mockFetch();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await renderDemoPage('/hooks/use-memo/move-state-down');
+
+  const overlay = within(screen.getByRole('region', { name: 'Render counts' }));
+  const renders = (name) => within(overlay.getByRole('row', { name })).getAllByRole('cell')[1].textContent;
+  userEvent.type(screen.getByPlaceholderText('name'), 'abc');
+  await waitFor(() => expect(renders('Form')).toBe('4'));
+  expect(renders('UseMemoCompTwo')).toBe('1');
+  expect(renders('Expensive')).toBe('1');
+  expect(screen.getByTitle('Expensive')).toHaveTextContent(/^Expensive · 1 render · /);
+  cleanup();
+  console.log.mockRestore();
+});
+
+test('a production build says render counts need a development build', () => {
+  const env = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  render(<RenderCountOverlay scope="/hooks/use-callback/parent" />);
+  process.env.NODE_ENV = env;
+
+  expect(screen.getByText('render counts need a development build, run it with npm start')).toBeInTheDocument();
+  expect(screen.queryByRole('table')).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'reset counters' })).toBeDisabled();
+});
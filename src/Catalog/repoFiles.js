@@ -0,0 +1,44 @@
+// repo files (notes, images, demo sources) are copied into public/repo by scripts/copy-repo-files.js
+// every path here is relative to the repo root e.g. 'src/Component/Hooks/useReducerHook/useReducerHook.md'
+
+export const repoFileUrl = (filePath) => {
+    const encoded = filePath.split('/').map(encodeURIComponent).join('/')
+    return `${process.env.PUBLIC_URL}/repo/${encoded}`
+}
+
+export const dirname = (filePath) => filePath.split('/').slice(0, -1).join('/')
+
+// resolves a relative link found inside a note against the note's own folder
+export const resolveRepoPath = (fromDir, relativePath) => {
+    const parts = fromDir ? fromDir.split('/') : []
+    decodeURIComponent(relativePath).split('/').forEach(part => {
+        if (part === '..') {
+            parts.pop()
+        } else if (part && part !== '.') {
+            parts.push(part)
+        }
+    })
+    return parts.join('/')
+}
+
+export const fetchRepoFile = async (filePath, { signal } = {}) => {
+    const resp = await fetch(repoFileUrl(filePath), { signal })
+    // the dev server answers unknown paths with index.html, so a 200 with html is a missing file too
+    const contentType = resp.headers.get('content-type') || ''
+    if (!resp.ok || (contentType.includes('text/html') && !filePath.endsWith('.html'))) {
+        throw new Error(`could not load ${filePath} (${resp.status})`)
+    }
+    return resp.text()
+}
+
+// notes can start with a `---` block of `key: value` lines (challenges use it), the viewer only shows what comes after
+export const splitFrontMatter = (markdown) => {
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/)
+    if (!match) return { data: {}, body: markdown }
+    const data = {}
+    match[1].split(/\r?\n/).forEach(line => {
+        const pair = line.match(/^([\w-]+):\s*(.*)$/)
+        if (pair) data[pair[1]] = pair[2].trim()
+    })
+    return { data, body: markdown.slice(match[0].length) }
+}
@@ -1,12 +1,17 @@
 import { useState, useEffect } from "react";
+import { createLifecycleTrace, useLifecycleTrace } from "../Catalog/lifecycleTrace";
+
+const trace = createLifecycleTrace("ChallengeOne");
+const childTrace = createLifecycleTrace("Child");
 
 function ChallengeOne() {
     const [count, setCount] = useState(0);
-    console.log("1");
+    useLifecycleTrace(trace);
+    trace.render("1");
     useEffect(() => {
-      console.log("5")
+      trace.effect("5")
       return () => {
-        console.log("cleanup-2");
+        trace.cleanup("cleanup-2");
       };
     }, [count]);
   
@@ -18,11 +23,12 @@ function ChallengeOne() {
   }
   
   export function Child({ count }) {
-    console.log("2");
+    useLifecycleTrace(childTrace);
+    childTrace.render("2");
     useEffect(() => {
-      console.log("3");
+      childTrace.effect("3");
       return () => {
-        console.log("cleanup-4");
+        childTrace.cleanup("cleanup-4");
       };
     }, [count]);
     return null;
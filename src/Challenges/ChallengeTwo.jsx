@@ -1,20 +1,25 @@
 import { useState, useEffect } from "react";
+import { createLifecycleTrace, useLifecycleTrace } from "../Catalog/lifecycleTrace";
+
+const trace = createLifecycleTrace("ChallengeTwo");
+const childTrace = createLifecycleTrace("Child");
 
 export function ChallengeTwo() {
     const [count, setCount] = useState(0);
-    console.log("parent render-1"); // Parent component rendering
+    useLifecycleTrace(trace);
+    trace.render("parent render-1"); // Parent component rendering
     
     useEffect(() => {
       // Parent Effect #1 (with count dependency)
-      console.log("Parent Effect #1 runs"); // Not in original code but added for clarity
+      trace.effect("Parent Effect #1 runs"); // Not in original code but added for clarity
       return () => {
-        console.log("cleanup-2"); // Cleanup for Parent Effect #1
+        trace.cleanup("cleanup-2"); // Cleanup for Parent Effect #1
       };
     }, [count]);
   
     useEffect(() => {
       // Parent Effect #2 (runs once)
-      console.log("Parent Effect #2 runs"); // Not in original code but added for clarity
+      trace.effect("Parent Effect #2 runs"); // Not in original code but added for clarity
       setCount((count) => count + 1);
     }, []);
   
@@ -22,12 +27,13 @@ export function ChallengeTwo() {
   }
   
   export function Child({ count }) {
-    console.log("child-render-2"); // Child component rendering (added for clarity)
+    useLifecycleTrace(childTrace);
+    childTrace.render("child-render-2"); // Child component rendering (added for clarity)
     
     useEffect(() => {
-      console.log("child-effect-3"); // Child Effect runs
+      childTrace.effect("child-effect-3"); // Child Effect runs
       return () => {
-        console.log("cleanup-4"); // Cleanup for Child Effect
+        childTrace.cleanup("cleanup-4"); // Cleanup for Child Effect
       };
     }, [count]);
     
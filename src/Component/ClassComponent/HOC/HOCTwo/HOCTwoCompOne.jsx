@@ -1,10 +1,11 @@
-import React,{useEffect, useRef} from  'react';
+import React from  'react';
 import withDimensions from './withDimension';
 function HOCTwoCompOne(props,ref){
     // const ref = useRef();
     // useEffect(()=>{
     //     console.log(ref.current.offsetHeight)
     // },[])
+    // the ref comes from withDimensions now, it is the one it measures (resize the window and watch the width)
    return (
     <>
     <h1 ref={ref} className="text-red-300 h-[200px]">hi I am comp one - width- {props.width} - height-{props.height} - extra props - {props.name}, {props.variant}  </h1>
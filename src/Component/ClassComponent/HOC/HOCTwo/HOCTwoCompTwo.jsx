@@ -3,7 +3,8 @@ import withDimensions from "./withDimension"
 function HOCTwoCompTwo(props, ref){
     return (
         <>
-         <h1 ref={ref} className="text-green-300 h-[300px]">hi I am comp two - width -{props.width} - height-{props.height} - extra props - {props.name} , {props.variant} </h1>
+         <h1 ref={ref} className="text-green-300 h-[300px]" style={{ padding: 12, border: "2px solid" }}>hi I am comp two - width -{props.width} - height-{props.height} - extra props - {props.name} , {props.variant} </h1>
+         <p>content box (without padding and border) {Math.round(props.contentBox.width)} x {Math.round(props.contentBox.height)}</p>
         </>
     )
 }
@@ -1,22 +1,30 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback } from "react";
+import { useElementSize } from "../../../Custom Hooks/ElementSize/useElementSize";
 
+// ! the first version measured offsetWidth / offsetHeight once in a useEffect with [] and never again,
+// ! and WithDimensions itself was a plain function component so a ref given to the wrapped component was dropped
+// ! now the size comes from useElementSize (ResizeObserver) and the HOC is a forwardRef, a ref from outside still reaches the element
 
-export function withDimensions(WrappedComponent){
-    function WithDimensions(props){
-        const [width,setWidth] = useState(0)
-        const [height,setHeight] = useState(0);
-        const ref = useRef();
-        useEffect(()=>{
-            // console.log(ref.current.offsetHeight)
-           if(ref.current){
-            setWidth(ref.current.offsetWidth)
-            setHeight(ref.current.offsetHeight)
-           }
-        },[])
+// a ref can be a function or an object, the HOC needs the element too so both get it
+const setRef = (ref, node) => {
+    if (typeof ref === "function") ref(node)
+    else if (ref) ref.current = node
+}
+
+export function withDimensions(WrappedComponent, { debounce } = {}){
+    const WithDimensions = React.forwardRef(function WithDimensions(props, forwardedRef){
+        const { ref: measureRef, borderBox, contentBox } = useElementSize({ debounce })
+
+        const ref = useCallback((node)=>{
+            measureRef(node)
+            setRef(forwardedRef, node)
+        },[measureRef, forwardedRef])
 
-        return <WrappedComponent ref={ref} width={width} height={height} {...props} />
-    }
+        // width / height are the border box like offsetWidth / offsetHeight were, rounded the same way
+        return <WrappedComponent ref={ref} width={Math.round(borderBox.width)} height={Math.round(borderBox.height)} contentBox={contentBox} {...props} />
+    })
+    WithDimensions.displayName = `withDimensions(${WrappedComponent.displayName || WrappedComponent.name || "Component"})`
     return WithDimensions
 }
 
-export default withDimensions
\ No newline at end of file
+export default withDimensions
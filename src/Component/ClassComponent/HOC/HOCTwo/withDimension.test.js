@@ -0,0 +1,37 @@
+import { act, render, screen } from '@testing-library/react';
+import HOCTwoCompOne from './HOCTwoCompOne';
+import HOCTwoCompTwo from './HOCTwoCompTwo';
+
+test('withDimensions follows every ResizeObserver report and forwards the ref', () => {
+  const observers = [];
+  window.ResizeObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = [];
+      observers.push(this);
+    }
+    observe(target) { this.targets.push(target); }
+    disconnect() { this.targets = []; }
+  };
+  const resize = (contentWidth, contentHeight, borderWidth, borderHeight) => act(() => {
+    observers.filter(observer => observer.targets.length).forEach(observer => observer.callback(observer.targets.map(target => ({
+      target,
+      contentBoxSize: [{ inlineSize: contentWidth, blockSize: contentHeight }],
+      borderBoxSize: [{ inlineSize: borderWidth, blockSize: borderHeight }],
+    }))));
+  });
+  const { unmount } = render(<HOCTwoCompTwo />);
+
+  resize(300, 40, 328.4, 68);
+  expect(screen.getByRole('heading', { name: /comp two/ })).toHaveTextContent('width -328 - height-68');
+  expect(screen.getByText(/content box/)).toHaveTextContent('300 x 40');
+  resize(500, 20, 528, 48);
+  expect(screen.getByRole('heading', { name: /comp two/ })).toHaveTextContent('width -528 - height-48');
+  unmount();
+  expect(observers.every(observer => !observer.targets.length)).toBe(true);
+
+  const ref = { current: null };
+  render(<HOCTwoCompOne ref={ref} name="first" />);
+  expect(ref.current).toHaveTextContent('hi I am comp one');
+  delete window.ResizeObserver;
+});
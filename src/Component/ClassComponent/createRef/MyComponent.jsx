@@ -1,4 +1,5 @@
 import * as React from 'react';
+import { EventListener } from '../../Custom Hooks/EventListener/useEventListener';
 
 // previous we could use ref without create ref this is legacy and react also gives the warning about that 
 
@@ -13,12 +14,16 @@ export class MyComponent extends React.Component {
 
   componentDidMount() {
     console.log("this.refs.myComponentDiv", this.refs);
-    this.refs.myComponentDiv.addEventListener('click', this.clickHandler);
+    // this.refs.myComponentDiv.addEventListener('click', this.clickHandler);
   }
 
-  componentWillUnmount() {
-    this.refs.myComponentDiv.removeEventListener('click', this.clickHandler);
-  }
+  // ! the add here and the remove in componentWillUnmount had to match by hand, <EventListener> in render does both
+  // componentWillUnmount() {
+  //   this.refs.myComponentDiv.removeEventListener('click', this.clickHandler);
+  // }
+
+  // the same function every render, so the listener is added once (this.refs is only filled after the commit)
+  getMyComponentDiv = () => this.refs.myComponentDiv;
 
   clickHandler = () => {
     this.setState({
@@ -31,6 +36,7 @@ export class MyComponent extends React.Component {
 
     return (
       <div className="my-component" ref="myComponentDiv">
+        <EventListener type="click" handler={this.clickHandler} target={this.getMyComponentDiv} />
         <h2>My Component ({this.state.clicks} clicks)</h2>
         <h3>{this.props.headerText}</h3>
         {children}
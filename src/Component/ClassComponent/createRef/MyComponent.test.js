@@ -0,0 +1,16 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MyComponent } from './MyComponent';
+
+test('MyComponent counts the clicks on its string ref div and stops listening on unmount', () => {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const remove = jest.spyOn(HTMLElement.prototype, 'removeEventListener');
+  const { unmount } = render(<MyComponent headerText="this is header text">this is Ref example</MyComponent>);
+  userEvent.click(screen.getByRole('heading', { name: /My Component/ }));
+  userEvent.click(screen.getByRole('heading', { name: /My Component/ }));
+  expect(screen.getByRole('heading', { name: 'My Component (2 clicks)' })).toBeInTheDocument();
+  unmount();
+  expect(remove.mock.calls.filter(([type]) => type === 'click')).toHaveLength(1);
+  remove.mockRestore();
+  log.mockRestore();
+});
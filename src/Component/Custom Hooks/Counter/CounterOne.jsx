@@ -1,11 +1,14 @@
-import React,{useState,useEffect} from 'react'
+import React,{useState} from 'react'
 import { useCounter } from './useCounter'
 
 export const CounterOneForCustom = () => {
     // const [count, setCount] = useState(0)
-const [counter,increment,decrement,reset] = useCounter(5,2,1)
+// const [counter,increment,decrement,reset] = useCounter(5,2,1)
+const [overflow, setOverflow] = useState('clamp')
+const { count, increment, decrement, reset, atMin, atMax } = useCounter({ initialValue: 5, min: 0, max: 10, step: 2, overflow })
 
 // ! we can see the benefit of hook we can customize the hook for same activity in both counter component by passing extra Argument 
+// ! bounded variant: 0 to 10 in steps of 2, clamp stops at the edge, wrap goes around to the other end
     // const increment =()=>{
     //     setCount(prevCount=>prevCount+1);
     // }
@@ -21,10 +24,14 @@ const [counter,increment,decrement,reset] = useCounter(5,2,1)
   return (
     <div>
         {/* <p>CounterOne: {count}</p> */}
-        <p>CounterOne: {counter}</p>
-        <button onClick={increment}>Increment</button>
-        <button onClick={decrement}>Decrement</button>
+        <p>CounterOne: {count}</p>
+        <button onClick={increment} disabled={atMax}>Increment</button>
+        <button onClick={decrement} disabled={atMin}>Decrement</button>
         <button onClick={reset}>Reset</button>
+        <label>
+            <input type="checkbox" checked={overflow === 'wrap'} onChange={(e) => setOverflow(e.target.checked ? 'wrap' : 'clamp')} />
+            wrap around
+        </label>
     </div>
   )
 }
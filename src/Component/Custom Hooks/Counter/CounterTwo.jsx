@@ -1,24 +1,32 @@
-import React,{useState,useEffect} from 'react'
+import React from 'react'
+import { useCounter } from './useCounter'
 
 export const CounterTwoForCustom = () => {
-    const [count, setCount] = useState(0)
+    // const [count, setCount] = useState(0)
 
-    const increment =()=>{
-        setCount(prevCount=>prevCount+1);
-    }
-    const decrement =()=>{
-        setCount(prevCount=>prevCount-1);
-    }
-    const reset =()=>{
-        setCount(0);
-    }
+    // const increment =()=>{
+    //     setCount(prevCount=>prevCount+1);
+    // }
+    // const decrement =()=>{
+    //     setCount(prevCount=>prevCount-1);
+    // }
+    // const reset =()=>{
+    //     setCount(0);
+    // }
+
+    // ! history variant: every change is kept (last 5) so it can be undone and redone
+    const { count, increment, decrement, set, reset, undo, redo, canUndo, canRedo, history } = useCounter({ historyDepth: 5 })
     
   return (
     <div>
         <p>CounterTwo: {count}</p>
         <button onClick={increment}>Increment</button>
         <button onClick={decrement}>Decrement</button>
+        <button onClick={() => set(100)}>Set 100</button>
         <button onClick={reset}>Reset</button>
+        <button onClick={undo} disabled={!canUndo}>Undo</button>
+        <button onClick={redo} disabled={!canRedo}>Redo</button>
+        <p>history: {history.length ? history.join(' → ') : 'empty'}</p>
     </div>
   )
 }
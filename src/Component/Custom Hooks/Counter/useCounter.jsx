@@ -1,17 +1,94 @@
-import React,{useState} from 'react'
+import { useCallback, useReducer } from 'react'
 
-export const useCounter = (initialValue=0,inc,dec) => {
-    const [counter,setCounter] = useState(initialValue)
+// useCounter(initialValue, inc, dec) used to take positional arguments and return an array,
+// leaving out inc or dec gave NaN and every new feature meant another position to remember
+// now it takes an options object and returns an object, so new fields don't break anyone
+//
+//   const { count, increment, decrement, set, reset, undo, redo, canUndo, canRedo } = useCounter({
+//       initialValue: 5, min: 0, max: 10, step: 2, overflow: 'clamp', historyDepth: 10,
+//   })
 
-    const increment =()=>{
-        setCounter(prevCount=>prevCount+inc);
+// clamp stops at min / max, wrap goes around to the other end (past max is min, below min is max), wrap needs both bounds
+export const limitCount = (value, { min = -Infinity, max = Infinity, overflow = 'clamp' } = {}) => {
+    if (overflow === 'wrap') {
+        if (!Number.isFinite(min) || !Number.isFinite(max)) {
+            throw new Error('useCounter: overflow "wrap" needs a finite min and max')
+        }
+        if (value > max) return min
+        if (value < min) return max
+        return value
     }
-    const decrement =()=>{
-        setCounter(prevCount=>prevCount-dec);
-    }
-    const reset =()=>{
-        setCounter(initialValue);
+    return Math.min(max, Math.max(min, value))
+}
+
+// past / present / future, the usual undo shape
+const counterReducer = (state, action) => {
+    switch (action.type) {
+        case 'set': {
+            const requested = Number(typeof action.update === 'function' ? action.update(state.present) : action.update)
+            if (Number.isNaN(requested)) {
+                console.error('useCounter: set() needs a number')
+                return state
+            }
+            const next = action.limit(requested)
+            if (next === state.present) return state
+            return {
+                past: action.depth > 0 ? [...state.past, state.present].slice(-action.depth) : [],
+                present: next,
+                future: [],
+            }
+        }
+        case 'undo': {
+            if (!state.past.length) return state
+            return {
+                past: state.past.slice(0, -1),
+                present: state.past[state.past.length - 1],
+                future: [state.present, ...state.future],
+            }
+        }
+        case 'redo': {
+            if (!state.future.length) return state
+            return {
+                past: [...state.past, state.present],
+                present: state.future[0],
+                future: state.future.slice(1),
+            }
+        }
+        default:
+            return state
     }
+}
 
-  return [counter,increment,decrement,reset]
+export const useCounter = ({ initialValue = 0, min = -Infinity, max = Infinity, step = 1, overflow = 'clamp', historyDepth = 10 } = {}) => {
+    const [state, dispatch] = useReducer(counterReducer, undefined, () => ({
+        past: [],
+        present: limitCount(initialValue, { min, max, overflow }),
+        future: [],
+    }))
+
+    const set = useCallback((update) => {
+        dispatch({ type: 'set', update, depth: historyDepth, limit: (value) => limitCount(value, { min, max, overflow }) })
+    }, [min, max, overflow, historyDepth])
+
+    // by is optional, anything but a number (like the click event from onClick={increment}) means one step
+    const increment = useCallback((by) => set(count => count + (typeof by === 'number' ? by : step)), [set, step])
+    const decrement = useCallback((by) => set(count => count - (typeof by === 'number' ? by : step)), [set, step])
+    const reset = useCallback(() => set(initialValue), [set, initialValue])
+    const undo = useCallback(() => dispatch({ type: 'undo' }), [])
+    const redo = useCallback(() => dispatch({ type: 'redo' }), [])
+
+    return {
+        count: state.present,
+        increment,
+        decrement,
+        set,
+        reset,
+        undo,
+        redo,
+        canUndo: state.past.length > 0,
+        canRedo: state.future.length > 0,
+        history: state.past,
+        atMin: overflow === 'clamp' && state.present <= min,
+        atMax: overflow === 'clamp' && state.present >= max,
+    }
 }
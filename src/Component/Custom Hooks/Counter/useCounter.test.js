@@ -0,0 +1,53 @@
+import { act, render, renderHook, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { limitCount, useCounter } from './useCounter';
+import { CounterOneForCustom } from './CounterOne';
+import { CounterTwoForCustom } from './CounterTwo';
+
+test('limitCount clamps to the bounds or wraps around them', () => {
+  expect(limitCount(12, { min: 0, max: 10 })).toBe(10);
+  expect(limitCount(-3, { min: 0, max: 10 })).toBe(0);
+  expect(limitCount(11, { min: 0, max: 10, overflow: 'wrap' })).toBe(0);
+  expect(limitCount(12, { min: 0, max: 10, overflow: 'wrap' })).toBe(0);
+  expect(limitCount(-1, { min: 0, max: 10, overflow: 'wrap' })).toBe(10);
+  expect(limitCount(-2, { min: 0, max: 10, overflow: 'wrap' })).toBe(10);
+  expect(limitCount(4, { min: 0, max: 10, overflow: 'wrap' })).toBe(4);
+  expect(() => limitCount(1, { overflow: 'wrap' })).toThrow('needs a finite min and max');
+});
+
+test('useCounter clamps or wraps to its bounds', () => {
+  const { result, rerender } = renderHook(({ overflow }) => useCounter({ initialValue: 5, min: 0, max: 10, step: 2, overflow }), {
+    initialProps: { overflow: 'clamp' },
+  });
+  act(() => result.current.increment());
+  act(() => result.current.increment());
+  act(() => result.current.increment());
+  expect(result.current.count).toBe(10);
+  expect(result.current.atMax).toBe(true);
+
+  rerender({ overflow: 'wrap' });
+  act(() => result.current.increment());
+  expect(result.current.count).toBe(0);
+  act(() => result.current.decrement());
+  expect(result.current.count).toBe(10);
+});
+
+test('CounterOne steps by 2 both ways', () => {
+  render(<CounterOneForCustom />);
+  userEvent.click(screen.getByRole('button', { name: 'Increment' }));
+  expect(screen.getByText('CounterOne: 7')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Decrement' }));
+  userEvent.click(screen.getByRole('button', { name: 'Decrement' }));
+  expect(screen.getByText('CounterOne: 3')).toBeInTheDocument();
+});
+
+test('useCounter undoes and redoes changes', () => {
+  render(<CounterTwoForCustom />);
+  userEvent.click(screen.getByRole('button', { name: 'Increment' }));
+  userEvent.click(screen.getByRole('button', { name: 'Set 100' }));
+  userEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(screen.getByText('CounterTwo: 1')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Redo' }));
+  expect(screen.getByText('CounterTwo: 100')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Redo' })).toBeDisabled();
+});
@@ -0,0 +1,35 @@
+import React, { useState } from 'react'
+import { useDebouncedValue, useThrottledCallback } from './useDebounce'
+
+const HOOKS = ['useState', 'useEffect', 'useContext', 'useReducer', 'useCallback', 'useMemo', 'useRef', 'useLayoutEffect', 'useId', 'useTransition', 'useDeferredValue', 'useSyncExternalStore']
+
+export const SearchBoxDemo = () => {
+    const [query, setQuery] = useState('')
+    const [keystrokes, setKeystrokes] = useState(0)
+    const [draftSaves, setDraftSaves] = useState(0)
+
+    // the list only filters once typing stops for 400ms, but never lags more than 1.5s behind a fast typer
+    const [debouncedQuery, { isPending, flush }] = useDebouncedValue(query, 400, { maxWait: 1500 })
+    // a draft autosave at most once a second while typing
+    const saveDraft = useThrottledCallback(() => setDraftSaves(saves => saves + 1), 1000)
+
+    const results = HOOKS.filter(hook => hook.toLowerCase().includes(debouncedQuery.trim().toLowerCase()))
+
+    const handleChange = (e) => {
+        setQuery(e.target.value)
+        setKeystrokes(count => count + 1)
+        saveDraft()
+    }
+
+    return (
+        <div>
+            <input type="search" value={query} onChange={handleChange} onBlur={flush} placeholder="search hooks" aria-label="Search hooks" />
+            <p>
+                keystrokes: {keystrokes} · searches: for "{debouncedQuery}" {isPending() && '(waiting for you to stop typing)'} · draft saves: {draftSaves}
+            </p>
+            <ul aria-label="Hooks">
+                {results.map(hook => <li key={hook}>{hook}</li>)}
+            </ul>
+        </div>
+    )
+}
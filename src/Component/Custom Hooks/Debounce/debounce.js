@@ -0,0 +1,105 @@
+// plain js debounce / throttle, same rules as lodash.debounce (which the useRef demo started with)
+// the hooks in useDebounce.jsx wrap these, this file knows nothing about React
+//
+// debounce: waits until the calls stop for `wait` ms, then calls once with the last arguments
+//   leading: call on the first call too    trailing: call after the wait (default)
+//   maxWait: never wait longer than this since the last real call, even if calls keep coming
+// throttle: at most one call every `wait` ms, it is debounce with maxWait = wait and leading on
+
+export const debounce = (fn, wait = 0, { leading = false, trailing = true, maxWait } = {}) => {
+    const hasMaxWait = maxWait !== undefined
+    const maxDelay = hasMaxWait ? Math.max(maxWait, wait) : 0
+    let timer = null
+    let lastArgs = null
+    let lastCallTime
+    let lastInvokeTime = 0
+    let result
+
+    const invoke = (time) => {
+        const args = lastArgs
+        lastArgs = null
+        lastInvokeTime = time
+        result = fn(...args)
+        return result
+    }
+
+    const shouldInvoke = (time) => {
+        if (lastCallTime === undefined) return true
+        const sinceCall = time - lastCallTime
+        const sinceInvoke = time - lastInvokeTime
+        // sinceCall < 0 means the system clock went backwards
+        return sinceCall >= wait || sinceCall < 0 || (hasMaxWait && sinceInvoke >= maxDelay)
+    }
+
+    const remainingWait = (time) => {
+        const waitLeft = wait - (time - lastCallTime)
+        return hasMaxWait ? Math.min(waitLeft, maxDelay - (time - lastInvokeTime)) : waitLeft
+    }
+
+    const trailingEdge = (time) => {
+        timer = null
+        if (trailing && lastArgs) return invoke(time)
+        lastArgs = null
+        return result
+    }
+
+    const timerExpired = () => {
+        const time = Date.now()
+        if (shouldInvoke(time)) {
+            trailingEdge(time)
+            return
+        }
+        timer = setTimeout(timerExpired, remainingWait(time))
+    }
+
+    const leadingEdge = (time) => {
+        lastInvokeTime = time
+        timer = setTimeout(timerExpired, wait)
+        return leading ? invoke(time) : result
+    }
+
+    const debounced = (...args) => {
+        const time = Date.now()
+        const isInvoking = shouldInvoke(time)
+        lastArgs = args
+        lastCallTime = time
+
+        if (isInvoking) {
+            if (timer === null) return leadingEdge(time)
+            if (hasMaxWait) {
+                // calls kept coming for maxWait, call now and keep waiting for the rest
+                clearTimeout(timer)
+                timer = setTimeout(timerExpired, wait)
+                return invoke(time)
+            }
+        }
+        if (timer === null) {
+            timer = setTimeout(timerExpired, wait)
+        }
+        return result
+    }
+
+    // drop the pending call
+    debounced.cancel = () => {
+        clearTimeout(timer)
+        timer = null
+        lastArgs = null
+        lastCallTime = undefined
+        lastInvokeTime = 0
+    }
+
+    // make the pending call right now
+    debounced.flush = () => {
+        if (timer === null) return result
+        clearTimeout(timer)
+        return trailingEdge(Date.now())
+    }
+
+    debounced.isPending = () => timer !== null
+
+    return debounced
+}
+
+export const throttle = (fn, wait = 0, { leading = true, trailing = true } = {}) => {
+    return debounce(fn, wait, { leading, trailing, maxWait: wait })
+}
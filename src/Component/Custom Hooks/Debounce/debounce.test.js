@@ -0,0 +1,46 @@
+import { debounce, throttle } from './debounce';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('debounce calls once with the last arguments after the calls stop', () => {
+  const fn = jest.fn();
+  const debounced = debounce(fn, 100);
+  debounced('a');
+  jest.advanceTimersByTime(50);
+  debounced('b');
+  jest.advanceTimersByTime(99);
+  expect(fn).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(1);
+  expect(fn.mock.calls).toEqual([['b']]);
+});
+
+test('debounce can be flushed and cancelled', () => {
+  const fn = jest.fn(value => value.toUpperCase());
+  const debounced = debounce(fn, 100);
+  debounced('a');
+  expect(debounced.isPending()).toBe(true);
+  expect(debounced.flush()).toBe('A');
+  expect(debounced.isPending()).toBe(false);
+
+  debounced('b');
+  debounced.cancel();
+  jest.advanceTimersByTime(200);
+  expect(fn.mock.calls).toEqual([['a']]);
+});
+
+test('throttle calls at most once per wait, first and last call included', () => {
+  const fn = jest.fn();
+  const throttled = throttle(fn, 100);
+  throttled(1);
+  throttled(2);
+  throttled(3);
+  expect(fn.mock.calls).toEqual([[1]]);
+  jest.advanceTimersByTime(100);
+  expect(fn.mock.calls).toEqual([[1], [3]]);
+});
@@ -0,0 +1,55 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { debounce, throttle } from './debounce'
+
+// the useRef version in Hooks/useRefHook/UseRefWithDebounce.jsx kept the *first* callback forever (stale state inside it)
+// and never cancelled the pending call when the component went away
+// here the debounced function stays the same across renders but always calls the latest callback,
+// and a pending call is cancelled on unmount (or when wait / the options change)
+
+// the latest callback, updated after every render so the debounced function never needs re-creating for it
+const useLatest = (callback) => {
+    const latest = useRef(callback)
+    useLayoutEffect(() => {
+        latest.current = callback
+    })
+    return latest
+}
+
+export const useDebouncedCallback = (callback, wait, { leading = false, trailing = true, maxWait } = {}) => {
+    const latest = useLatest(callback)
+    const debounced = useMemo(
+        () => debounce((...args) => latest.current(...args), wait, { leading, trailing, maxWait }),
+        [latest, wait, leading, trailing, maxWait]
+    )
+    useEffect(() => {
+        return () => {
+            debounced.cancel()
+        }
+    }, [debounced])
+    return debounced
+}
+
+export const useThrottledCallback = (callback, wait, { leading = true, trailing = true } = {}) => {
+    const latest = useLatest(callback)
+    const throttled = useMemo(
+        () => throttle((...args) => latest.current(...args), wait, { leading, trailing }),
+        [latest, wait, leading, trailing]
+    )
+    useEffect(() => {
+        return () => {
+            throttled.cancel()
+        }
+    }, [throttled])
+    return throttled
+}
+
+// the value, but only once it stopped changing for `wait` ms
+//   const [debouncedQuery, { isPending, flush, cancel }] = useDebouncedValue(query, 500)
+export const useDebouncedValue = (value, wait, options) => {
+    const [debouncedValue, setDebouncedValue] = useState(value)
+    const update = useDebouncedCallback(setDebouncedValue, wait, options)
+    useEffect(() => {
+        update(value)
+    }, [value, update])
+    return [debouncedValue, update]
+}
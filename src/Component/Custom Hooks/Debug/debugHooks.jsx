@@ -0,0 +1,68 @@
+import { useEffect, useRef } from 'react'
+import { CHANGE_KIND, addUpdateReport } from './updateReports'
+
+// the hooks to reach for when a React.memo "doesn't work"
+//
+//   const previousCount = usePrevious(count)
+//   const renders = useRenderCount()
+//   useWhyDidYouUpdate('Button (Increment Age)', { handleClick, children })
+//
+// useWhyDidYouUpdate reports after every re-render which of the given props / state keys changed,
+// and whether it was the value or only the reference (a new object or array with the same content),
+// to the console and to updateReports.js, the catalog shows that store in a panel under the demo
+
+// the value from the previous render, undefined on the first one
+export const usePrevious = (value) => {
+    const previous = useRef(undefined)
+    useEffect(() => {
+        previous.current = value
+    })
+    return previous.current
+}
+
+// counted while rendering on purpose: StrictMode's second render in development is a render too
+export const useRenderCount = () => {
+    const count = useRef(0)
+    count.current++
+    return count.current
+}
+
+// structural equality, enough to tell "same content" from "new content" for props
+// functions only by reference: the same source can close over different values (handleClick over the new age)
+const isSameValue = (a, b, depth = 0) => {
+    if (Object.is(a, b)) return true
+    if (typeof a !== typeof b || a === null || b === null) return false
+    if (typeof a !== 'object' || depth > 5) return false
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime()
+    if (Array.isArray(a) !== Array.isArray(b)) return false
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false
+    const keys = Object.keys(a)
+    if (keys.length !== Object.keys(b).length) return false
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isSameValue(a[key], b[key], depth + 1))
+}
+
+export const diffValues = (previous, next) => {
+    const keys = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    return keys
+        .filter(key => !Object.is(previous[key], next[key]))
+        .map(key => ({
+            key,
+            kind: isSameValue(previous[key], next[key]) ? CHANGE_KIND.REFERENCE : CHANGE_KIND.VALUE,
+            from: previous[key],
+            to: next[key],
+        }))
+}
+
+export const useWhyDidYouUpdate = (name, values) => {
+    const render = useRenderCount()
+    const previous = useRef(null)
+
+    // after the commit, a render React threw away (StrictMode, a suspended one) is not reported
+    // and StrictMode running the effect twice on mount sees the same values object twice, that is not an update
+    useEffect(() => {
+        if (previous.current && previous.current !== values) {
+            addUpdateReport({ name, render, changes: diffValues(previous.current, values) })
+        }
+        previous.current = values
+    })
+}
@@ -0,0 +1,34 @@
+import { renderHook } from '@testing-library/react';
+import { diffValues, usePrevious, useRenderCount } from './debugHooks';
+import { CHANGE_KIND, describeChange } from './updateReports';
+
+test('usePrevious and useRenderCount follow the renders', () => {
+  const { result, rerender } = renderHook(({ value }) => [usePrevious(value), useRenderCount()], { initialProps: { value: 1 } });
+  expect(result.current).toEqual([undefined, 1]);
+  rerender({ value: 2 });
+  expect(result.current).toEqual([1, 2]);
+  rerender({ value: 3 });
+  expect(result.current).toEqual([2, 3]);
+});
+
+test('diffValues tells a new reference with the same content from a new value', () => {
+  const style = { color: 'red' };
+  const changes = diffValues(
+    { style, list: [1, 2], count: 1, same: 'a' },
+    { style: { color: 'red' }, list: [1, 3], count: 2, same: 'a' },
+  );
+  expect(changes.map(({ key, kind }) => [key, kind])).toEqual([
+    ['style', CHANGE_KIND.REFERENCE],
+    ['list', CHANGE_KIND.VALUE],
+    ['count', CHANGE_KIND.VALUE],
+  ]);
+});
+
+test('diffValues compares functions by reference, the same source is still a new function', () => {
+  const make = (age) => () => age;
+  const same = make(1);
+  expect(diffValues({ onClick: same }, { onClick: same })).toEqual([]);
+  const [change] = diffValues({ onClick: make(1) }, { onClick: make(2) });
+  expect(change.kind).toBe(CHANGE_KIND.VALUE);
+  expect(describeChange(change)).toBe('onClick: new function ƒ anonymous');
+});
@@ -0,0 +1,54 @@
+import { createStore } from '../ExternalStore/createStore'
+
+// what useWhyDidYouUpdate found, kept for whoever wants to show it (the catalog's UpdateReportsPanel does)
+// plain js store like the render counters, every report also goes to the console
+// the hooks don't know which demo they render in, the panel clears the store when another demo mounts
+
+export const CHANGE_KIND = {
+    // same content, new object / array: a memo comparing with Object.is sees a change anyway
+    // (a new function is a VALUE, the same source can see other values through its closure)
+    REFERENCE: 'reference',
+    // the content really changed
+    VALUE: 'value',
+}
+
+const MAX_REPORTS = 50
+
+let nextId = 1
+// reports are added from effects that can run in the middle of React's commit
+const reports = createStore([])
+
+export const subscribeUpdateReports = reports.subscribe
+
+export const getUpdateReports = reports.get
+
+export const clearUpdateReports = () => {
+    reports.set([])
+}
+
+const describeValue = (value) => {
+    if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}`
+    try {
+        const text = JSON.stringify(value)
+        if (text === undefined) return String(value)
+        return text.length > 40 ? `${text.slice(0, 37)}...` : text
+    } catch (error) {
+        return Object.prototype.toString.call(value)
+    }
+}
+
+export const describeChange = ({ key, kind, from, to }) => {
+    if (kind === CHANGE_KIND.REFERENCE) return `${key}: new reference, same value ${describeValue(to)}`
+    if (typeof from === 'function' && typeof to === 'function') return `${key}: new function ${describeValue(to)}`
+    return `${key}: ${describeValue(from)} → ${describeValue(to)}`
+}
+
+export const addUpdateReport = ({ name, render, changes }) => {
+    const report = { id: nextId++, name, render, changes }
+    reports.set(list => [...list, report].slice(-MAX_REPORTS))
+    if (changes.length) {
+        console.log(`[why did you update] ${name} render #${render}`, changes.map(describeChange))
+    } else {
+        console.log(`[why did you update] ${name} render #${render}: nothing it was given changed`)
+    }
+}
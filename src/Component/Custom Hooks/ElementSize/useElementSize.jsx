@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react'
+import { debounce as debounceFn } from '../Debounce/debounce'
+
+// the size of an element, kept up to date by a ResizeObserver
+//
+//   const { ref, contentBox, borderBox } = useElementSize({ debounce: 100 })
+//   <div ref={ref}>{borderBox.width} x {borderBox.height}</div>
+//
+// contentBox is the inside (no padding / border), borderBox is what offsetWidth / offsetHeight gave (with padding and border)
+// ref is a callback ref, the observer moves along when the element is swapped for another one
+// debounce (ms) only reports once resizing stops, handy when the size feeds something expensive
+// without ResizeObserver (very old browsers, jsdom) it measures on mount and on window resize instead
+
+const EMPTY_SIZE = { contentBox: { width: 0, height: 0 }, borderBox: { width: 0, height: 0 } }
+
+// older Firefox gives one object instead of an array
+const firstBox = (boxSize) => (Array.isArray(boxSize) ? boxSize[0] : boxSize)
+
+// inlineSize / blockSize are width / height in a horizontal writing mode, which is all these demos use
+const readEntry = (entry) => {
+    const content = entry.contentBoxSize && firstBox(entry.contentBoxSize)
+    const border = entry.borderBoxSize && firstBox(entry.borderBoxSize)
+    return {
+        contentBox: content
+            ? { width: content.inlineSize, height: content.blockSize }
+            : { width: entry.contentRect.width, height: entry.contentRect.height },
+        borderBox: border
+            ? { width: border.inlineSize, height: border.blockSize }
+            : { width: entry.target.offsetWidth, height: entry.target.offsetHeight },
+    }
+}
+
+const measureElement = (element) => {
+    const style = window.getComputedStyle(element)
+    const extra = (a, b) => (parseFloat(style[a]) || 0) + (parseFloat(style[b]) || 0)
+    const width = element.offsetWidth
+    const height = element.offsetHeight
+    return {
+        contentBox: {
+            width: Math.max(0, width - extra('paddingLeft', 'paddingRight') - extra('borderLeftWidth', 'borderRightWidth')),
+            height: Math.max(0, height - extra('paddingTop', 'paddingBottom') - extra('borderTopWidth', 'borderBottomWidth')),
+        },
+        borderBox: { width, height },
+    }
+}
+
+const isSameSize = (a, b) => (
+    a.contentBox.width === b.contentBox.width && a.contentBox.height === b.contentBox.height &&
+    a.borderBox.width === b.borderBox.width && a.borderBox.height === b.borderBox.height
+)
+
+export const useElementSize = ({ debounce = 0 } = {}) => {
+    const [element, setElement] = useState(null)
+    const [size, setSize] = useState(EMPTY_SIZE)
+
+    useEffect(() => {
+        if (!element) return
+
+        const apply = (next) => setSize(previous => (isSameSize(previous, next) ? previous : next))
+        const report = debounce > 0 ? debounceFn(apply, debounce) : apply
+
+        if (typeof ResizeObserver === 'undefined') {
+            const measure = () => report(measureElement(element))
+            apply(measureElement(element))
+            window.addEventListener('resize', measure)
+            return () => {
+                window.removeEventListener('resize', measure)
+                if (report.cancel) report.cancel()
+            }
+        }
+
+        // the first observation comes right after observe(), so there is no separate measure on mount
+        // it is never debounced, only the resizes after it
+        let isFirst = true
+        const observer = new ResizeObserver(entries => {
+            const next = readEntry(entries[entries.length - 1])
+            if (isFirst) {
+                isFirst = false
+                apply(next)
+            } else {
+                report(next)
+            }
+        })
+        observer.observe(element)
+        return () => {
+            observer.disconnect()
+            if (report.cancel) report.cancel()
+        }
+    }, [element, debounce])
+
+    return { ref: setElement, ...size }
+}
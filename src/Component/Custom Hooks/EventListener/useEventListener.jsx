@@ -0,0 +1,58 @@
+import { useEffect, useLayoutEffect, useRef } from 'react'
+import { listenToMediaQuery } from '../MediaQuery/mediaQueryList'
+
+// addEventListener in a hook, with the cleanup written once
+//
+//   useEventListener('mousemove', e => setX(e.clientX))                        // window
+//   useEventListener('visibilitychange', onChange, document)
+//   useEventListener('click', onClick, buttonRef, { capture: true })          // an element ref, read after the commit
+//   <EventListener type="click" handler={this.onClick} target={this.getBox} />  // a function, called after the commit
+//   useEventListener('change', e => setMatches(e.matches), mediaQueryList)    // matchMedia(...)
+//   useEventListener('scroll', onScroll, window, { passive: true })
+//
+// * the handler can be a new function every render, it is kept in a ref and the listener is NOT re-added for it
+//   so it always sees the latest state (HookMouse logged 0 0 forever because it had the first render's handler)
+// * target: window (when left out), document, an element, a ref to one, a function returning one (a class's this.refs.box),
+//   or a MediaQueryList. null listens to nothing, a function has to be the same one every render or the listener is re-added
+// * options: passive / capture / once, removing uses the same capture flag it was added with (a mismatch silently keeps the listener)
+
+const resolveTarget = (target) => {
+    if (target === undefined) return typeof window === 'undefined' ? null : window
+    if (target && typeof target === 'object' && 'current' in target) return target.current
+    if (typeof target === 'function') return target()
+    return target
+}
+
+export const useEventListener = (type, handler, target, { passive, capture = false, once = false } = {}) => {
+    const latest = useRef(handler)
+    useLayoutEffect(() => {
+        latest.current = handler
+    })
+
+    // a ref's element is only there after the commit, so it is read (or the function called) inside the effect
+    // (the ref object itself is stable, listing it re-runs nothing)
+    useEffect(() => {
+        const element = resolveTarget(target)
+        if (!element) return
+
+        const listener = (event) => latest.current(event)
+
+        // an old MediaQueryList without addEventListener
+        if (!element.addEventListener && element.addListener) {
+            return listenToMediaQuery(element, listener)
+        }
+
+        const options = { capture, once, ...(passive === undefined ? {} : { passive }) }
+        element.addEventListener(type, listener, options)
+        return () => {
+            element.removeEventListener(type, listener, { capture })
+        }
+    }, [type, target, passive, capture, once])
+}
+
+// the same for class components, which can't call hooks: render it anywhere inside and it listens while it is mounted
+//   <EventListener type="mousemove" handler={this.logMousePosition} />
+export const EventListener = ({ type, handler, target, passive, capture, once }) => {
+    useEventListener(type, handler, target, { passive, capture, once })
+    return null
+}
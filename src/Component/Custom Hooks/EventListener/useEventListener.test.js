@@ -0,0 +1,22 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { HookMouse } from '../../Hooks/useEffectHook/HookMouse';
+
+test('useEventListener keeps one listener, calls the latest handler and cleans up', () => {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const add = jest.spyOn(window, 'addEventListener');
+  const remove = jest.spyOn(window, 'removeEventListener');
+  const { unmount } = render(<HookMouse />);
+  const mouseListeners = (spy) => spy.mock.calls.filter(([type]) => type === 'mousemove').length;
+
+  fireEvent.mouseMove(window, { clientX: 10, clientY: 20 });
+  fireEvent.mouseMove(window, { clientX: 30, clientY: 40 });
+  expect(screen.getByText('X: 30 Y: 40')).toBeInTheDocument();
+  // the second event sees the state of the render after the first one
+  expect(log).toHaveBeenLastCalledWith('mouse position X: 10 Y: 20');
+  expect(mouseListeners(add)).toBe(1);
+  unmount();
+  expect(mouseListeners(remove)).toBe(1);
+  add.mockRestore();
+  remove.mockRestore();
+  log.mockRestore();
+});
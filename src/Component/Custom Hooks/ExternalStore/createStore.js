@@ -0,0 +1,37 @@
+// the smallest store useSyncExternalStore can read, for state that lives outside React
+//
+//   const store = createStore({ events: [] })
+//   store.set(state => ({ ...state, events: [...state.events, event] }))    // or store.set(nextState)
+//   useSyncExternalStore(store.subscribe, store.get)
+//
+// set is usually called while React is rendering or committing (a Profiler's onRender, a render-time trace, an effect),
+// telling a component right then makes React complain about updating it while rendering another one,
+// so subscribers are told a tick later, once for all the sets in between
+// get has to return the same object until something changed, set always stores a new one
+
+export const createStore = (initialState) => {
+    let state = initialState
+    let notifyScheduled = false
+    const listeners = new Set()
+
+    const scheduleNotify = () => {
+        if (notifyScheduled) return
+        notifyScheduled = true
+        Promise.resolve().then(() => {
+            notifyScheduled = false
+            listeners.forEach(listener => listener())
+        })
+    }
+
+    return {
+        get: () => state,
+        set: (next) => {
+            state = typeof next === 'function' ? next(state) : next
+            scheduleNotify()
+        },
+        subscribe: (listener) => {
+            listeners.add(listener)
+            return () => listeners.delete(listener)
+        },
+    }
+}
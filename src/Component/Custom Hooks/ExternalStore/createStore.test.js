@@ -0,0 +1,22 @@
+import { createStore } from './createStore';
+
+test('set replaces or maps the value and subscribers hear about a burst of sets once, a tick later', async () => {
+  const store = createStore({ events: [] });
+  const listener = jest.fn();
+  const unsubscribe = store.subscribe(listener);
+  const before = store.get();
+
+  store.set(state => ({ events: [...state.events, 'render'] }));
+  store.set(state => ({ events: [...state.events, 'effect'] }));
+  expect(store.get()).toEqual({ events: ['render', 'effect'] });
+  expect(store.get()).not.toBe(before);
+  expect(listener).not.toHaveBeenCalled();
+
+  await Promise.resolve();
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  unsubscribe();
+  store.set({ events: [] });
+  await Promise.resolve();
+  expect(listener).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useLayoutEffect, useReducer, useRef, useState } from 'react'
+
+// one hook for what DataFetching, DataFetchingOne, DataFerchingTwo and UserById each did by hand
+//
+//   const { status, data, error, refetch } = useFetch(`https://jsonplaceholder.typicode.com/users/${id}`, {
+//       enabled: Boolean(id),          // false (or no url) keeps it 'idle', nothing is fetched
+//       select: (user) => user.name,   // shape the data for this component
+//       initialData: {},               // shown until the first response arrives
+//   })
+//
+// * status is 'idle' | 'loading' | 'success' | 'error', no more juggling loading / error / data flags
+// * the request is aborted when the url changes or the component unmounts, an aborted request never touches state
+// * a non 2xx response is an error (fetch itself only rejects on network errors), error.status has the code
+// * the rest of the options go to fetch (method, headers ...), `fetcher` swaps fetch itself (the request log in the cleanup app)
+
+export const FETCH_STATUS = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    SUCCESS: 'success',
+    ERROR: 'error',
+}
+
+// same idea as the reducer DataFerchingTwo started with
+const fetchReducer = (state, action) => {
+    switch (action.type) {
+        case 'idle':
+            return { ...state, status: FETCH_STATUS.IDLE }
+        case 'start':
+            // a refetch keeps showing the old data, a new url starts empty
+            return { status: FETCH_STATUS.LOADING, data: action.keepData ? state.data : undefined, error: null }
+        case 'success':
+            return { status: FETCH_STATUS.SUCCESS, data: action.data, error: null }
+        case 'error':
+            return { ...state, status: FETCH_STATUS.ERROR, error: action.error }
+        default:
+            return state
+    }
+}
+
+export const checkStatus = async (resp) => {
+    if (!resp.ok) {
+        const error = new Error(`request failed with ${resp.status}${resp.statusText ? ` ${resp.statusText}` : ''}`)
+        error.status = resp.status
+        throw error
+    }
+    // 204 No Content has no body to parse
+    return resp.status === 204 ? null : resp.json()
+}
+
+export const useFetch = (url, { enabled = true, select, initialData, fetcher, ...init } = {}) => {
+    const [state, dispatch] = useReducer(fetchReducer, { status: FETCH_STATUS.IDLE, data: undefined, error: null })
+    const [attempt, setAttempt] = useState(0)
+    const lastUrl = useRef(url)
+
+    // fetch options and the fetcher are usually new objects every render, they are read when a request starts instead of being deps
+    const latest = useRef({ init, fetcher })
+    useLayoutEffect(() => {
+        latest.current = { init, fetcher }
+    })
+
+    useEffect(() => {
+        if (!enabled || !url) {
+            dispatch({ type: 'idle' })
+            return
+        }
+        const controller = new AbortController()
+        dispatch({ type: 'start', keepData: lastUrl.current === url })
+        lastUrl.current = url
+
+        const { init, fetcher } = latest.current
+        const options = { ...init, signal: controller.signal }
+        const request = fetcher ? fetcher(url, options) : fetch(url, options)
+        request
+            .then(checkStatus)
+            // a fetcher that ignores the signal, or a body that was already parsed, still settles after the abort
+            .then(data => {
+                if (controller.signal.aborted) return
+                dispatch({ type: 'success', data })
+            })
+            .catch(error => {
+                if (controller.signal.aborted || error.name === 'AbortError') return
+                dispatch({ type: 'error', error })
+            })
+
+        return () => {
+            controller.abort()
+        }
+    }, [url, enabled, attempt])
+
+    const refetch = useCallback(() => setAttempt(count => count + 1), [])
+
+    const raw = state.data === undefined ? initialData : state.data
+    const data = raw !== undefined && select ? select(raw) : raw
+
+    return {
+        status: state.status,
+        data,
+        error: state.error,
+        isIdle: state.status === FETCH_STATUS.IDLE,
+        isLoading: state.status === FETCH_STATUS.LOADING,
+        isSuccess: state.status === FETCH_STATUS.SUCCESS,
+        isError: state.status === FETCH_STATUS.ERROR,
+        refetch,
+    }
+}
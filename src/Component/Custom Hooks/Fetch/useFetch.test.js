@@ -0,0 +1,56 @@
+import { act, render, renderHook, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { checkStatus, useFetch } from './useFetch';
+import { DataFerchingTwo } from '../../Hooks/useReducerHook/DataFerchingTwo';
+import { jsonResponse } from '../../../testUtils';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('checkStatus turns a failed http status into an error with the status on it', async () => {
+  await expect(checkStatus(jsonResponse({ id: 1 }))).resolves.toEqual({ id: 1 });
+  await expect(checkStatus(jsonResponse(null, { status: 204 }))).resolves.toBeNull();
+  await expect(checkStatus(jsonResponse({}, { status: 500, statusText: 'Server Error' }))).rejects.toMatchObject({
+    message: 'request failed with 500 Server Error',
+    status: 500,
+  });
+});
+
+test('useFetch treats a failed http status as an error and refetches on retry', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(jsonResponse({}, { status: 500, statusText: 'Server Error' }))
+    .mockResolvedValueOnce(jsonResponse({ id: 1, body: 'post body from the api' }));
+  render(<DataFerchingTwo />);
+
+  expect(screen.getByText('Loading .....')).toBeInTheDocument();
+  userEvent.click(await screen.findByRole('button', { name: 'Retry' }));
+  expect(await screen.findByText('post body from the api')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('a request that settles after its url changed never reaches the state, even when the fetcher ignores the signal', async () => {
+  const pending = {};
+  // never looks at options.signal, every url answers when the test says so
+  const fetcher = jest.fn((url) => new Promise((resolve, reject) => {
+    pending[url] = { resolve, reject };
+  }));
+  const { result, rerender } = renderHook(({ url }) => useFetch(url, { fetcher }), { initialProps: { url: '/users/1' } });
+
+  rerender({ url: '/users/2' });
+  await act(async () => {
+    pending['/users/1'].resolve(jsonResponse({ id: 1 }));
+  });
+  expect(result.current).toMatchObject({ status: 'loading', data: undefined });
+
+  rerender({ url: '/users/3' });
+  await act(async () => {
+    pending['/users/2'].reject(new Error('network down'));
+  });
+  expect(result.current).toMatchObject({ status: 'loading', error: null });
+
+  await act(async () => {
+    pending['/users/3'].resolve(jsonResponse({ id: 3 }));
+  });
+  expect(result.current).toMatchObject({ status: 'success', data: { id: 3 } });
+});
@@ -0,0 +1,10 @@
+// listens to a MediaQueryList's change event, returns the unsubscribe
+// Safari before 14 only has addListener / removeListener on a MediaQueryList, it gets those
+export const listenToMediaQuery = (mediaQueryList, listener) => {
+    if (!mediaQueryList.addEventListener) {
+        mediaQueryList.addListener(listener)
+        return () => mediaQueryList.removeListener(listener)
+    }
+    mediaQueryList.addEventListener('change', listener)
+    return () => mediaQueryList.removeEventListener('change', listener)
+}
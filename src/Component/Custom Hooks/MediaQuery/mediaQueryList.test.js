@@ -0,0 +1,15 @@
+import { listenToMediaQuery } from './mediaQueryList';
+
+test('listenToMediaQuery uses the change event, or addListener on a list that has no addEventListener', () => {
+  const listener = jest.fn();
+  const modern = { addEventListener: jest.fn(), removeEventListener: jest.fn() };
+  listenToMediaQuery(modern, listener)();
+  expect(modern.addEventListener).toHaveBeenCalledWith('change', listener);
+  expect(modern.removeEventListener).toHaveBeenCalledWith('change', listener);
+
+  // Safari before 14
+  const old = { addListener: jest.fn(), removeListener: jest.fn() };
+  listenToMediaQuery(old, listener)();
+  expect(old.addListener).toHaveBeenCalledWith(listener);
+  expect(old.removeListener).toHaveBeenCalledWith(listener);
+});
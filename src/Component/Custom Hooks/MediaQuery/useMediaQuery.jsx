@@ -0,0 +1,25 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react'
+import { listenToMediaQuery } from './mediaQueryList'
+
+// whether a CSS media query matches right now, re-rendering when that changes
+//
+//   const prefersDark = useMediaQuery('(prefers-color-scheme: dark)')
+//   const isNarrow = useMediaQuery('(max-width: 600px)')
+//
+// a MediaQueryList is an external store like any other, useSyncExternalStore reads it during render
+// so even the first render has the right answer (no flash of the wrong theme / layout)
+// without matchMedia (jsdom, server) it is `fallback`
+
+export const useMediaQuery = (query, { fallback = false } = {}) => {
+    const mediaQueryList = useMemo(() => (
+        typeof window !== 'undefined' && typeof window.matchMedia === 'function' ? window.matchMedia(query) : null
+    ), [query])
+
+    const subscribe = useCallback((onChange) => {
+        if (!mediaQueryList) return () => {}
+        return listenToMediaQuery(mediaQueryList, onChange)
+    }, [mediaQueryList])
+
+    const getSnapshot = () => (mediaQueryList ? mediaQueryList.matches : fallback)
+    return useSyncExternalStore(subscribe, getSnapshot, () => fallback)
+}
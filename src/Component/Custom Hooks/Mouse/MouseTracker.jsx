@@ -0,0 +1,14 @@
+import { useMousePosition } from './useMousePosition'
+
+// the same thing as a render prop, for class components or when only a small part of the tree should re-render
+//
+//   <MouseTracker target={boxRef}>
+//       {({ x, y, isInside }) => <p>{isInside ? `${x}, ${y}` : 'outside'}</p>}
+//   </MouseTracker>
+//
+// `render={...}` works too, children wins when both are given
+export const MouseTracker = ({ children, render, ...options }) => {
+    const position = useMousePosition(options)
+    const renderPosition = typeof children === 'function' ? children : render
+    return renderPosition ? renderPosition(position) : null
+}
@@ -0,0 +1,93 @@
+import { useEffect, useRef, useState } from 'react'
+
+// HookMouse / ClassMouse call setState on every mousemove, which can be a few hundred renders a second
+// here the events only remember the latest position and one requestAnimationFrame per frame puts it in state
+//
+//   const { x, y, isInside, pointerType } = useMousePosition()              // relative to the window (clientX / clientY)
+//   const { x, y, isInside } = useMousePosition({ target: boxRef })        // relative to the element's top left corner
+//
+// pointer events cover mouse, pen and touch in one go, browsers without them get mouse + touch events instead
+// x / y are null until the first move, { touch: false } ignores fingers
+
+const INITIAL_POSITION = { x: null, y: null, isInside: false, pointerType: null }
+
+const supportsPointerEvents = () => typeof window !== 'undefined' && 'PointerEvent' in window
+
+// a touch event keeps its coordinates on the first finger
+const readPoint = (e) => {
+    const point = e.touches && e.touches.length ? e.touches[0] : e
+    return {
+        clientX: point.clientX,
+        clientY: point.clientY,
+        pointerType: e.pointerType || (e.touches ? 'touch' : 'mouse'),
+    }
+}
+
+export const useMousePosition = ({ target, touch = true } = {}) => {
+    const [position, setPosition] = useState(INITIAL_POSITION)
+    const latest = useRef(null)
+    const frame = useRef(0)
+
+    useEffect(() => {
+        // the ref is read once when the effect runs, the element has to be rendered together with the component using the hook
+        const element = target ? target.current : window
+        if (!element) return
+
+        const flush = () => {
+            frame.current = 0
+            const { clientX, clientY, pointerType, isInside } = latest.current
+            const rect = target ? element.getBoundingClientRect() : { left: 0, top: 0 }
+            const next = { x: Math.round(clientX - rect.left), y: Math.round(clientY - rect.top), isInside, pointerType }
+            // the same position twice (e.g. leave right after the last move) doesn't need a render
+            setPosition(previous => (
+                previous.x === next.x && previous.y === next.y && previous.isInside === next.isInside && previous.pointerType === next.pointerType
+                    ? previous
+                    : next
+            ))
+        }
+
+        const schedule = (e, isInside) => {
+            if (!touch && e.pointerType === 'touch') return
+            latest.current = { ...readPoint(e), isInside }
+            if (!frame.current) {
+                frame.current = requestAnimationFrame(flush)
+            }
+        }
+
+        const handleMove = (e) => schedule(e, true)
+        const handleLeave = (e) => {
+            // touchend has no touches left, keep the last position we saw
+            if (latest.current && e.type === 'touchend') {
+                latest.current = { ...latest.current, isInside: false }
+                if (!frame.current) frame.current = requestAnimationFrame(flush)
+                return
+            }
+            schedule(e, false)
+        }
+
+        const listeners = supportsPointerEvents()
+            ? [['pointermove', handleMove], ['pointerdown', handleMove], [target ? 'pointerleave' : 'pointerout', handleLeave]]
+            : [
+                ['mousemove', handleMove],
+                [target ? 'mouseleave' : 'mouseout', handleLeave],
+                ...(touch ? [['touchstart', handleMove], ['touchmove', handleMove], ['touchend', handleLeave]] : []),
+            ]
+
+        // on the window, leaving means leaving the document (mouseout with no element it goes to)
+        const listenerFor = (type, handler) => (type === 'pointerout' || type === 'mouseout')
+            ? (e) => { if (!e.relatedTarget) handler(e) }
+            : handler
+
+        const attached = listeners.map(([type, handler]) => [type, listenerFor(type, handler)])
+        attached.forEach(([type, handler]) => element.addEventListener(type, handler, { passive: true }))
+
+        return () => {
+            attached.forEach(([type, handler]) => element.removeEventListener(type, handler, { passive: true }))
+            // a frame scheduled by the last event must not set state after the cleanup
+            cancelAnimationFrame(frame.current)
+            frame.current = 0
+        }
+    }, [target, touch])
+
+    return position
+}
@@ -0,0 +1,50 @@
+import React, { useState } from 'react'
+import { checkStatus } from '../Fetch/useFetch'
+import { useQuery, useQueryClient } from './useQuery'
+
+let requests = 0
+
+const fetchUser = (id) => ({ signal }) => {
+    requests++
+    return fetch(`https://jsonplaceholder.typicode.com/users/${id}`, { signal }).then(checkStatus)
+}
+
+// every card asks for the user on its own, the cache makes it one request
+const UserCard = ({ id, label }) => {
+    const { data: user, isLoading, isFetching, error } = useQuery(['users', id], fetchUser(id))
+
+    return (
+        <section aria-label={label}>
+            <h3>{label} {isFetching && !isLoading && <small>(refreshing)</small>}</h3>
+            {isLoading && <p>Loading user {id} .....</p>}
+            {error && <p>{error.message}</p>}
+            {user && <p>{user.name} · {user.email}</p>}
+        </section>
+    )
+}
+
+export const SharedUserDemo = () => {
+    const client = useQueryClient()
+    const [id, setId] = useState(1)
+    const [showThird, setShowThird] = useState(false)
+    // the page reads the same key as the cards, it only needs the time of the last response
+    const { updatedAt } = useQuery(['users', id], fetchUser(id))
+
+    return (
+        <div>
+            <p>
+                {[1, 2, 3].map(userId => (
+                    <button key={userId} type="button" disabled={userId === id} onClick={() => setId(userId)}>user {userId}</button>
+                ))}
+                <button type="button" onClick={() => setShowThird(show => !show)}>{showThird ? 'unmount' : 'mount'} a third card</button>
+                <button type="button" onClick={() => client.invalidateQueries(['users'])}>Invalidate users</button>
+            </p>
+            <UserCard id={id} label="Card one" />
+            <UserCard id={id} label="Card two" />
+            {showThird && <UserCard id={id} label="Card three" />}
+            <p className="catalog-meta">
+                requests sent so far: {requests} · user {id} {updatedAt ? `fetched at ${new Date(updatedAt).toLocaleTimeString()}` : 'not fetched yet'}
+            </p>
+        </div>
+    )
+}
@@ -0,0 +1,43 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { createQueryClient } from './queryClient';
+import { QueryProvider } from './useQuery';
+import { SharedUserDemo } from './SharedUserDemo';
+import { jsonResponse } from '../../../testUtils';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('query cache shares one request between components and refetches after invalidation', async () => {
+  global.fetch = jest.fn((url) => {
+    const id = Number(url.split('/').pop());
+    return Promise.resolve(jsonResponse({ id, name: `User ${id}`, email: `user${id}@example.com` }));
+  });
+  const userCalls = () => global.fetch.mock.calls.map(([url]) => url);
+  render(
+    <QueryProvider client={createQueryClient({ staleTime: 30 * 1000 })}>
+      <SharedUserDemo />
+    </QueryProvider>
+  );
+
+  const cardOne = within(screen.getByRole('region', { name: 'Card one' }));
+  const cardTwo = within(screen.getByRole('region', { name: 'Card two' }));
+  expect(await cardOne.findByText(/User 1/)).toBeInTheDocument();
+  expect(cardTwo.getByText(/User 1/)).toBeInTheDocument();
+  expect(userCalls()).toHaveLength(1);
+
+  // a fresh entry is read straight from the cache
+  userEvent.click(screen.getByRole('button', { name: 'mount a third card' }));
+  expect(within(screen.getByRole('region', { name: 'Card three' })).getByText(/User 1/)).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'user 2' }));
+  expect(await cardOne.findByText(/User 2/)).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'user 1' }));
+  expect(cardOne.getByText(/User 1/)).toBeInTheDocument();
+  expect(userCalls()).toHaveLength(2);
+
+  userEvent.click(screen.getByRole('button', { name: 'Invalidate users' }));
+  await waitFor(() => expect(userCalls()).toHaveLength(3));
+  expect(userCalls()[2]).toMatch(/users\/1$/);
+  await waitFor(() => expect(screen.queryByText('(refreshing)')).not.toBeInTheDocument());
+});
@@ -0,0 +1,208 @@
+// a small query cache, the same idea as react-query / SWR without the rest of those libraries
+//
+// * entries are keyed by an array (['users', 2]), the same key anywhere in the app is the same entry
+//   the key is compared as written, ['users', '2'] is another entry, so ids are numbers everywhere
+// * while a request for a key is in flight, asking again returns the same promise (deduplication)
+// * staleTime: how long data counts as fresh, a fresh entry is not fetched again on mount
+//   stale data is still shown right away while it is refetched in the background (stale-while-revalidate)
+// * cacheTime: how long an entry nobody uses is kept before it is dropped
+// * a request nobody is waiting for any more (the last component using the key unmounted) is aborted,
+//   the data that was already in the cache stays
+// * stale entries that are on screen are refetched when the window gets focus back
+// * invalidateQueries(['users']) marks every key starting with 'users' stale and refetches the ones on screen
+//   "on screen" means an enabled observer, a query with only disabled ones is left for when it gets enabled
+//
+// plain js like storageStore, useQuery.jsx is the React side
+
+export const QUERY_STATUS = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    SUCCESS: 'success',
+    ERROR: 'error',
+}
+
+const DEFAULT_OPTIONS = { staleTime: 0, cacheTime: 5 * 60 * 1000 }
+
+export const hashKey = (key) => JSON.stringify(key)
+
+const startsWith = (key, prefix) => prefix.every((part, index) => hashKey(part) === hashKey(key[index]))
+
+export const createQueryClient = (defaultOptions = {}) => {
+    const defaults = { ...DEFAULT_OPTIONS, ...defaultOptions }
+    const queries = new Map()
+    let removeFocusListeners = null
+
+    const getQuery = (key) => {
+        const hash = hashKey(key)
+        if (!queries.has(hash)) {
+            queries.set(hash, {
+                key,
+                hash,
+                state: { status: QUERY_STATUS.IDLE, data: undefined, error: null, updatedAt: 0, isFetching: false, isInvalidated: false },
+                promise: null,
+                controller: null,
+                observers: new Set(),
+                gcTimer: null,
+            })
+        }
+        return queries.get(hash)
+    }
+
+    const setState = (query, changes) => {
+        query.state = { ...query.state, ...changes }
+        query.observers.forEach(observer => observer.notify())
+    }
+
+    // the options of whoever is looking at the query, the strictest staleTime wins
+    // a disabled observer (enabled: false) only reads the cache, it never gets the query fetched
+    const observerOptions = (query) => {
+        const observers = [...query.observers].map(observer => observer.getOptions()).filter(options => options.enabled !== false)
+        return {
+            staleTime: Math.min(...observers.map(options => options.staleTime ?? defaults.staleTime)),
+            fetcher: observers.length ? observers[observers.length - 1].fetcher : null,
+            refetchOnWindowFocus: observers.some(options => options.refetchOnWindowFocus !== false),
+        }
+    }
+
+    const isStale = (query, staleTime = defaults.staleTime) => {
+        const { updatedAt, isInvalidated } = query.state
+        return !updatedAt || isInvalidated || Date.now() - updatedAt >= staleTime
+    }
+
+    const fetchQuery = (key, fetcher, { force = false } = {}) => {
+        const query = getQuery(key)
+        if (query.promise && !force) return query.promise
+        if (query.controller) query.controller.abort()
+
+        const controller = new AbortController()
+        query.controller = controller
+        setState(query, {
+            isFetching: true,
+            status: query.state.data === undefined ? QUERY_STATUS.LOADING : query.state.status,
+        })
+
+        // the fetcher is called right away (a Promise executor runs synchronously), a throw in it still ends up in the catch
+        const promise = new Promise(resolve => resolve(fetcher({ signal: controller.signal, key })))
+            .then(
+                data => {
+                    if (query.controller !== controller) return query.promise
+                    setState(query, { status: QUERY_STATUS.SUCCESS, data, error: null, updatedAt: Date.now(), isFetching: false, isInvalidated: false })
+                    return data
+                },
+                error => {
+                    // aborted because a newer request replaced this one, that one reports
+                    if (query.controller !== controller) return query.promise
+                    // a failed refetch keeps the data we already had
+                    setState(query, { status: QUERY_STATUS.ERROR, error, isFetching: false })
+                    return undefined
+                }
+            )
+            .finally(() => {
+                if (query.controller === controller) {
+                    query.promise = null
+                    query.controller = null
+                }
+            })
+        query.promise = promise
+        return promise
+    }
+
+    // forgetting the controller first means the aborted request can't report back, the entry goes back to what it had before
+    const cancelQuery = (query) => {
+        if (!query.controller) return
+        const { controller } = query
+        query.controller = null
+        query.promise = null
+        controller.abort()
+        setState(query, {
+            isFetching: false,
+            status: query.state.data === undefined ? QUERY_STATUS.IDLE : query.state.status,
+        })
+    }
+
+    const scheduleRemoval = (query, cacheTime) => {
+        clearTimeout(query.gcTimer)
+        query.gcTimer = setTimeout(() => {
+            if (query.observers.size) return
+            if (query.controller) query.controller.abort()
+            queries.delete(query.hash)
+        }, cacheTime)
+    }
+
+    // observer: { notify, getOptions: () => ({ fetcher, enabled, staleTime, cacheTime, refetchOnWindowFocus }) }
+    const subscribe = (key, observer) => {
+        const query = getQuery(key)
+        clearTimeout(query.gcTimer)
+        query.observers.add(observer)
+        return () => {
+            query.observers.delete(observer)
+            if (!query.observers.size) {
+                cancelQuery(query)
+                scheduleRemoval(query, observer.getOptions().cacheTime ?? defaults.cacheTime)
+            }
+        }
+    }
+
+    // fetch if stale, used on mount and on focus
+    const refreshQuery = (key) => {
+        const query = getQuery(key)
+        const { staleTime, fetcher } = observerOptions(query)
+        if (fetcher && isStale(query, staleTime)) {
+            fetchQuery(key, fetcher)
+        }
+    }
+
+    const invalidateQueries = (prefix = []) => {
+        queries.forEach(query => {
+            if (!startsWith(query.key, prefix)) return
+            setState(query, { isInvalidated: true })
+            const { fetcher } = observerOptions(query)
+            if (fetcher) {
+                fetchQuery(query.key, fetcher, { force: true })
+            }
+        })
+    }
+
+    const refetchOnFocus = () => {
+        if (typeof document !== 'undefined' && document.visibilityState === 'hidden') return
+        queries.forEach(query => {
+            if (observerOptions(query).refetchOnWindowFocus) {
+                refreshQuery(query.key)
+            }
+        })
+    }
+
+    return {
+        getQueryState: (key) => getQuery(key).state,
+        getQueryData: (key) => getQuery(key).state.data,
+        setQueryData: (key, data) => {
+            setState(getQuery(key), { status: QUERY_STATUS.SUCCESS, data, error: null, updatedAt: Date.now(), isInvalidated: false })
+        },
+        isStale: (key, staleTime) => isStale(getQuery(key), staleTime),
+        fetchQuery,
+        refreshQuery,
+        subscribe,
+        invalidateQueries,
+        clear: () => {
+            queries.forEach(query => {
+                clearTimeout(query.gcTimer)
+                if (query.controller) query.controller.abort()
+            })
+            queries.clear()
+        },
+        // QueryProvider calls these, focus listeners only while the app is mounted
+        mount: () => {
+            if (removeFocusListeners || typeof window === 'undefined') return
+            window.addEventListener('focus', refetchOnFocus)
+            document.addEventListener('visibilitychange', refetchOnFocus)
+            removeFocusListeners = () => {
+                window.removeEventListener('focus', refetchOnFocus)
+                document.removeEventListener('visibilitychange', refetchOnFocus)
+                removeFocusListeners = null
+            }
+        },
+        unmount: () => {
+            if (removeFocusListeners) removeFocusListeners()
+        },
+    }
+}
@@ -0,0 +1,74 @@
+import { createQueryClient, QUERY_STATUS } from './queryClient';
+
+const observer = (fetcher, options = {}) => ({ notify: jest.fn(), getOptions: () => ({ fetcher, ...options }) });
+
+test('one request per key while it is in flight, fresh data is not fetched again', async () => {
+  const client = createQueryClient({ staleTime: 1000 });
+  const fetcher = jest.fn(() => Promise.resolve('user 1'));
+  const first = client.fetchQuery(['users', 1], fetcher);
+  expect(client.fetchQuery(['users', 1], fetcher)).toBe(first);
+  expect(client.getQueryState(['users', 1]).status).toBe(QUERY_STATUS.LOADING);
+  await first;
+  expect(client.getQueryData(['users', 1])).toBe('user 1');
+
+  client.subscribe(['users', 1], observer(fetcher));
+  client.refreshQuery(['users', 1]);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  client.clear();
+});
+
+test('invalidateQueries refetches every key under the prefix that is on screen', async () => {
+  const client = createQueryClient();
+  const fetcher = jest.fn(({ key }) => Promise.resolve(key.join(':')));
+  client.subscribe(['users', 1], observer(fetcher));
+  client.subscribe(['posts', 1], observer(fetcher));
+  await client.fetchQuery(['users', 1], fetcher);
+  await client.fetchQuery(['posts', 1], fetcher);
+
+  client.invalidateQueries(['users']);
+  expect(client.getQueryState(['users', 1])).toMatchObject({ isInvalidated: true, isFetching: true, data: 'users:1' });
+  expect(client.getQueryState(['posts', 1]).isFetching).toBe(false);
+  expect(fetcher).toHaveBeenCalledTimes(3);
+  client.clear();
+});
+
+test('the request is aborted when the last observer leaves before it is back', () => {
+  const client = createQueryClient();
+  let signal;
+  const fetcher = (options) => {
+    signal = options.signal;
+    return new Promise(() => {});
+  };
+  const unsubscribeOne = client.subscribe(['users', 1], observer(fetcher));
+  const unsubscribeTwo = client.subscribe(['users', 1], observer(fetcher));
+  client.refreshQuery(['users', 1]);
+
+  unsubscribeOne();
+  expect(signal.aborted).toBe(false);
+  unsubscribeTwo();
+  expect(signal.aborted).toBe(true);
+  expect(client.getQueryState(['users', 1])).toMatchObject({ status: QUERY_STATUS.IDLE, isFetching: false });
+  client.clear();
+});
+
+test('a query with only disabled observers is not fetched on focus or by invalidateQueries', async () => {
+  const client = createQueryClient();
+  const fetcher = jest.fn(() => Promise.resolve('user 1'));
+  const unsubscribe = client.subscribe(['users', 1], observer(fetcher, { enabled: false }));
+  client.mount();
+
+  client.refreshQuery(['users', 1]);
+  window.dispatchEvent(new Event('focus'));
+  client.invalidateQueries(['users']);
+  expect(fetcher).not.toHaveBeenCalled();
+  expect(client.getQueryState(['users', 1])).toMatchObject({ status: QUERY_STATUS.IDLE, isInvalidated: true });
+
+  // once a component enables it, the invalidated entry is fetched
+  client.subscribe(['users', 1], observer(fetcher));
+  client.refreshQuery(['users', 1]);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  await client.fetchQuery(['users', 1], fetcher);
+  unsubscribe();
+  client.unmount();
+  client.clear();
+});
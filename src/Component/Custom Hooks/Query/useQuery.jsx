@@ -0,0 +1,75 @@
+import React, { createContext, useCallback, useContext, useEffect, useLayoutEffect, useMemo, useRef, useSyncExternalStore } from 'react'
+import { QUERY_STATUS, hashKey } from './queryClient'
+
+const QueryClientContext = createContext(null)
+
+export const QueryProvider = ({ client, children }) => {
+    useEffect(() => {
+        client.mount()
+        return () => {
+            client.unmount()
+        }
+    }, [client])
+    return <QueryClientContext.Provider value={client}>{children}</QueryClientContext.Provider>
+}
+
+export const useQueryClient = () => {
+    const client = useContext(QueryClientContext)
+    if (!client) {
+        throw new Error('useQuery needs a <QueryProvider client={...}> above it')
+    }
+    return client
+}
+
+//   const { data, status, isFetching, refetch } = useQuery(['users', id], ({ signal }) => getUser(id, { signal }), { staleTime: 30000 })
+//
+// the fetcher gets an AbortSignal, it is aborted when a newer request replaces this one
+// or when the last component using the key unmounts before it is back (another component still waiting keeps it going)
+export const useQuery = (key, fetcher, { enabled = true, staleTime, cacheTime, select, refetchOnWindowFocus = true } = {}) => {
+    const client = useQueryClient()
+    // a key written inline is a new array every render, the hash turns it back into one that only changes with its content
+    const hash = hashKey(key)
+    const queryKey = useMemo(() => JSON.parse(hash), [hash])
+
+    // the fetcher and options are usually new every render too, the cache reads the latest through this ref
+    // enabled goes there as well, the focus refetch and invalidateQueries skip a disabled observer
+    const latest = useRef({ fetcher, enabled, staleTime, cacheTime, refetchOnWindowFocus })
+    useLayoutEffect(() => {
+        latest.current = { fetcher, enabled, staleTime, cacheTime, refetchOnWindowFocus }
+    })
+
+    const subscribe = useCallback((notify) => {
+        return client.subscribe(queryKey, {
+            notify,
+            getOptions: () => latest.current,
+        })
+    }, [client, queryKey])
+
+    const getSnapshot = useCallback(() => client.getQueryState(queryKey), [client, queryKey])
+    const state = useSyncExternalStore(subscribe, getSnapshot)
+
+    // fresh data from the cache is used as is, stale data is shown and refetched
+    useEffect(() => {
+        if (enabled) {
+            client.refreshQuery(queryKey)
+        }
+    }, [client, queryKey, enabled])
+
+    const refetch = useCallback(() => client.fetchQuery(queryKey, latest.current.fetcher, { force: true }), [client, queryKey])
+
+    const data = useMemo(() => (state.data !== undefined && select ? select(state.data) : state.data), [state.data, select])
+
+    const status = enabled ? state.status : QUERY_STATUS.IDLE
+
+    return {
+        status,
+        data,
+        error: state.error,
+        updatedAt: state.updatedAt,
+        isLoading: status === QUERY_STATUS.LOADING,
+        isFetching: state.isFetching,
+        isSuccess: status === QUERY_STATUS.SUCCESS,
+        isError: status === QUERY_STATUS.ERROR,
+        refetch,
+    }
+}
@@ -0,0 +1,15 @@
+import { renderHook } from '@testing-library/react';
+import { createQueryClient, QUERY_STATUS } from './queryClient';
+import { QueryProvider, useQuery } from './useQuery';
+
+test('a disabled query reports idle in status and in every flag, even with data in the cache', () => {
+  const client = createQueryClient();
+  client.setQueryData(['users', 1], { id: 1 });
+  const fetcher = jest.fn();
+  const wrapper = ({ children }) => <QueryProvider client={client}>{children}</QueryProvider>;
+  const { result } = renderHook(() => useQuery(['users', 1], fetcher, { enabled: false }), { wrapper });
+
+  expect(result.current).toMatchObject({ status: QUERY_STATUS.IDLE, isLoading: false, isSuccess: false, isError: false, data: { id: 1 } });
+  expect(fetcher).not.toHaveBeenCalled();
+  client.clear();
+});
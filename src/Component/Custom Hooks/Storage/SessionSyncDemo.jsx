@@ -0,0 +1,24 @@
+import React from 'react'
+import { useSessionStorage } from '../useSessionStorage'
+
+// same "woo" key as the add button under every demo (App.js), all three move together
+// open the app in a second tab and they follow along there as well, because both tabs use broadcast
+const WooCounter = ({ label }) => {
+    const [woo, setWoo, removeWoo] = useSessionStorage('woo', 0, { broadcast: true })
+    return (
+        <p>
+            <span>{label}: {woo}</span>{' '}
+            <button onClick={() => setWoo(w => w + 1)}>{label} +1</button>
+            <button onClick={removeWoo}>{label} reset</button>
+        </p>
+    )
+}
+
+export const SessionSyncDemo = () => {
+    return (
+        <div>
+            <WooCounter label="First" />
+            <WooCounter label="Second" />
+        </div>
+    )
+}
@@ -0,0 +1,61 @@
+import React from 'react'
+import { useStorage } from './useStorage'
+
+const TAGS = ['hooks', 'context', 'memo', 'effects']
+
+// localStorage + a Date, survives a reload and a new tab
+const LastVisit = () => {
+    const [lastVisit, setLastVisit, forget] = useStorage('storage-demo:last-visit', null)
+    return (
+        <div>
+            <p>Last visit: {lastVisit instanceof Date ? lastVisit.toLocaleString() : 'never'}</p>
+            <button onClick={() => setLastVisit(new Date())}>Mark visit</button>
+            <button onClick={forget}>Forget</button>
+        </div>
+    )
+}
+
+// sessionStorage + a Set, updated with a function like setState
+const Favourites = () => {
+    const [favourites, setFavourites] = useStorage('storage-demo:favourites', () => new Set(), { backend: 'session' })
+
+    const toggle = (tag) => {
+        setFavourites(prev => {
+            const next = new Set(prev)
+            if (next.has(tag)) {
+                next.delete(tag)
+            } else {
+                next.add(tag)
+            }
+            return next
+        })
+    }
+
+    return (
+        <div>
+            {TAGS.map(tag => (
+                <label key={tag}>
+                    <input type="checkbox" checked={favourites.has(tag)} onChange={() => toggle(tag)} />
+                    {tag}
+                </label>
+            ))}
+        </div>
+    )
+}
+
+// memory backend, gone on reload but still shared by every component using the key
+const SharedCounter = ({ label }) => {
+    const [count, setCount] = useStorage('storage-demo:count', 0, { backend: 'memory' })
+    return <button onClick={() => setCount(c => c + 1)}>{label}: {count}</button>
+}
+
+export const StorageDemo = () => {
+    return (
+        <div>
+            <LastVisit />
+            <Favourites />
+            <SharedCounter label="Counter A" />
+            <SharedCounter label="Counter B" />
+        </div>
+    )
+}
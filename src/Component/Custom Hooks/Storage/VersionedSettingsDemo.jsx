@@ -0,0 +1,58 @@
+import React, { useMemo, useState } from 'react'
+import { useStorage } from './useStorage'
+import { createVersionedSerializer } from './versioned'
+import { reloadStoredValue } from './storageStore'
+
+const KEY = 'storage-demo:settings'
+const DEFAULT_SETTINGS = { theme: 'light', fontSize: 16 }
+
+// how the settings looked over time:
+// version 0: just the theme string          "dark"
+// version 1: an object                      { theme: 'dark' }
+// version 2: with a font size               { theme: 'dark', fontSize: 16 }
+const migrations = [
+    (theme) => ({ theme }),
+    (settings) => ({ ...settings, fontSize: 16 }),
+]
+
+const validateSettings = (settings) => {
+    if (!['light', 'dark'].includes(settings?.theme)) return `unknown theme "${settings?.theme}"`
+    if (typeof settings.fontSize !== 'number') return 'fontSize must be a number'
+    return true
+}
+
+export const VersionedSettingsDemo = () => {
+    const [errors, setErrors] = useState([])
+    // made once, a new serializer every render would re-subscribe every render
+    const serializer = useMemo(() => createVersionedSerializer({
+        migrations,
+        validate: validateSettings,
+        onError: (error) => setErrors(prev => [...prev, error.message]),
+    }), [])
+    const [settings, setSettings, resetSettings] = useStorage(KEY, DEFAULT_SETTINGS, { serializer })
+
+    // pretend an older version of the app saved this, then read it again
+    const writeRaw = (text) => {
+        window.localStorage.setItem(KEY, text)
+        reloadStoredValue(KEY)
+    }
+
+    return (
+        <div>
+            <p>Theme: {settings.theme} · Font size: {settings.fontSize}</p>
+            <button onClick={() => setSettings(s => ({ ...s, theme: s.theme === 'light' ? 'dark' : 'light' }))}>Toggle theme</button>
+            <button onClick={() => setSettings(s => ({ ...s, fontSize: s.fontSize + 1 }))}>Bigger font</button>
+            <button onClick={resetSettings}>Reset</button>
+            <div>
+                <button onClick={() => writeRaw('"dark"')}>Load a version 0 payload</button>
+                <button onClick={() => writeRaw('{"version":1,"value":{"theme":"dark"}}')}>Load a version 1 payload</button>
+                <button onClick={() => writeRaw('{"version":2,"value":{"theme":"pink","fontSize":12}}')}>Load a broken payload</button>
+            </div>
+            {errors.length > 0 && (
+                <ul role="alert">
+                    {errors.map((message, index) => <li key={index}>{message}</li>)}
+                </ul>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,29 @@
+// JSON that survives a round trip for Date, Map and Set
+// they are written as { "__type": "Date", "value": ... } and turned back into the real thing when parsed
+// a serializer is just { stringify, parse }, pass your own to useStorage if the default isn't enough
+
+const TYPE = '__type'
+
+export const jsonSerializer = {
+    stringify: (value) => JSON.stringify(value, function (key, current) {
+        // `current` is what toJSON already made of it (a Date is a string by then), this[key] is the original
+        const original = this[key]
+        if (original instanceof Date) return { [TYPE]: 'Date', value: original.toJSON() }
+        if (original instanceof Map) return { [TYPE]: 'Map', value: [...original.entries()] }
+        if (original instanceof Set) return { [TYPE]: 'Set', value: [...original] }
+        return current
+    }),
+    parse: (text) => JSON.parse(text, (key, current) => {
+        if (!current || typeof current !== 'object' || !current[TYPE]) return current
+        switch (current[TYPE]) {
+            case 'Date':
+                return new Date(current.value === null ? NaN : current.value)
+            case 'Map':
+                return new Map(current.value)
+            case 'Set':
+                return new Set(current.value)
+            default:
+                return current
+        }
+    }),
+}
@@ -0,0 +1,191 @@
+import { jsonSerializer } from './serializer'
+
+// plain js store under useStorage, one cached value per (backend, key) so every component reading a key gets the same value
+// a backend is anything with getItem / setItem / removeItem: 'local', 'session', 'memory' or your own adapter object
+//
+// components on the same page always stay in sync through the listeners here (the `storage` event never fires in the tab that wrote)
+// with `broadcast` the change is also posted on a BroadcastChannel, so other tabs that opted in with the same channel pick it up
+// that is the only way sessionStorage, which is per tab, can be shared at all
+
+export const createMemoryStorage = () => {
+    const items = new Map()
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    }
+}
+
+const memoryStorage = createMemoryStorage()
+
+// window.localStorage can throw (privacy modes, sandboxed iframes), we fall back to memory so the app keeps working
+export const resolveBackend = (backend = 'local') => {
+    if (backend && typeof backend === 'object') return backend
+    if (backend === 'memory') return memoryStorage
+    if (backend !== 'local' && backend !== 'session') {
+        throw new Error(`unknown storage backend "${backend}", use 'local', 'session', 'memory' or an adapter object`)
+    }
+    try {
+        return backend === 'local' ? window.localStorage : window.sessionStorage
+    } catch (error) {
+        console.error(error)
+        return memoryStorage
+    }
+}
+
+const entriesByStorage = new Map()
+let listeningToStorageEvents = false
+
+const getEntry = (storage, key) => {
+    if (!entriesByStorage.has(storage)) {
+        entriesByStorage.set(storage, new Map())
+    }
+    const entries = entriesByStorage.get(storage)
+    if (!entries.has(key)) {
+        entries.set(key, { loaded: false, value: undefined, listeners: new Set() })
+    }
+    return entries.get(key)
+}
+
+const notify = (entry) => {
+    entry.listeners.forEach(listener => listener())
+}
+
+// other tabs changing localStorage fire `storage` here, the cached value is dropped and read again
+const handleStorageEvent = (event) => {
+    const entries = entriesByStorage.get(event.storageArea)
+    if (!entries) return
+    entries.forEach((entry, key) => {
+        // key is null when the other tab called clear()
+        if (event.key !== null && event.key !== key) return
+        entry.loaded = false
+        notify(entry)
+    })
+}
+
+export const DEFAULT_CHANNEL = 'react-notes:storage'
+
+const channels = new Map()
+
+const channelName = (broadcast) => (broadcast === true ? DEFAULT_CHANNEL : broadcast)
+
+// a message from another tab carries the already serialized text, we store it as is and let readEntry parse it
+const applyRemoteChange = ({ backend, key, text }) => {
+    const storage = resolveBackend(backend)
+    try {
+        if (text === null) {
+            storage.removeItem(key)
+        } else {
+            storage.setItem(key, text)
+        }
+    } catch (error) {
+        console.error(error)
+    }
+    const entry = getEntry(storage, key)
+    entry.loaded = false
+    notify(entry)
+}
+
+// one channel per name, opened by the first subscriber and closed with the last one
+const openChannel = (broadcast) => {
+    const name = channelName(broadcast)
+    if (typeof BroadcastChannel === 'undefined') return () => {}
+    if (!channels.has(name)) {
+        const channel = new BroadcastChannel(name)
+        channel.onmessage = (event) => applyRemoteChange(event.data)
+        channels.set(name, { channel, subscribers: 0 })
+    }
+    const open = channels.get(name)
+    open.subscribers++
+    return () => {
+        open.subscribers--
+        if (open.subscribers === 0) {
+            open.channel.close()
+            channels.delete(name)
+        }
+    }
+}
+
+const postChange = (broadcast, backend, key, text) => {
+    if (!broadcast) return
+    // an adapter object can't be named in another tab, only 'local', 'session' and 'memory' travel
+    if (typeof backend !== 'string') {
+        console.error(`storage key "${key}": broadcast only works with the 'local', 'session' and 'memory' backends`)
+        return
+    }
+    const open = channels.get(channelName(broadcast))
+    if (open) {
+        open.channel.postMessage({ backend, key, text })
+    }
+}
+
+const readEntry = (storage, key, serializer) => {
+    const entry = getEntry(storage, key)
+    if (!entry.loaded) {
+        entry.loaded = true
+        try {
+            const text = storage.getItem(key)
+            entry.value = text === null ? undefined : serializer.parse(text)
+        } catch (error) {
+            console.error(error)
+            entry.value = undefined
+        }
+    }
+    return entry
+}
+
+// undefined means nothing is stored for the key
+export const getStoredValue = (key, { backend, serializer = jsonSerializer } = {}) => {
+    return readEntry(resolveBackend(backend), key, serializer).value
+}
+
+export const setStoredValue = (key, value, { backend = 'local', serializer = jsonSerializer, broadcast } = {}) => {
+    const storage = resolveBackend(backend)
+    const entry = getEntry(storage, key)
+    entry.loaded = true
+    entry.value = value
+    try {
+        const text = serializer.stringify(value)
+        storage.setItem(key, text)
+        postChange(broadcast, backend, key, text)
+    } catch (error) {
+        // quota exceeded or a value the serializer can't handle, the value still lives in memory for this page
+        console.error(error)
+    }
+    notify(entry)
+}
+
+export const removeStoredValue = (key, { backend = 'local', broadcast } = {}) => {
+    const storage = resolveBackend(backend)
+    const entry = getEntry(storage, key)
+    entry.loaded = true
+    entry.value = undefined
+    try {
+        storage.removeItem(key)
+    } catch (error) {
+        console.error(error)
+    }
+    postChange(broadcast, backend, key, null)
+    notify(entry)
+}
+
+// for when the storage was changed behind the store's back (devtools, code writing to window.localStorage directly)
+export const reloadStoredValue = (key, { backend } = {}) => {
+    const entry = getEntry(resolveBackend(backend), key)
+    entry.loaded = false
+    notify(entry)
+}
+
+export const subscribeStoredValue = (key, { backend, broadcast } = {}, listener) => {
+    if (!listeningToStorageEvents && typeof window !== 'undefined') {
+        listeningToStorageEvents = true
+        window.addEventListener('storage', handleStorageEvent)
+    }
+    const entry = getEntry(resolveBackend(backend), key)
+    entry.listeners.add(listener)
+    const closeChannel = broadcast ? openChannel(broadcast) : () => {}
+    return () => {
+        entry.listeners.delete(listener)
+        closeChannel()
+    }
+}
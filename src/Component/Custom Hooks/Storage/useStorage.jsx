@@ -0,0 +1,30 @@
+import { useCallback, useMemo, useState, useSyncExternalStore } from 'react'
+import { jsonSerializer } from './serializer'
+import { getStoredValue, removeStoredValue, setStoredValue, subscribeStoredValue } from './storageStore'
+
+// useState that lives in a storage backend
+//
+//   const [theme, setTheme, removeTheme] = useStorage('theme', 'light', { backend: 'local' })
+//
+// every component using the same key (and backend) sees the same value and re-renders together
+// broadcast: true (or a channel name) also syncs the key with other tabs that use it with broadcast on
+// a custom serializer should be defined outside the component, a new object every render re-subscribes every render
+export const useStorage = (key, initialValue, { backend = 'local', serializer = jsonSerializer, broadcast = false } = {}) => {
+    // the first initialValue only, like useState, so an object literal default doesn't change on every render
+    const [fallback] = useState(initialValue)
+    const options = useMemo(() => ({ backend, serializer, broadcast }), [backend, serializer, broadcast])
+
+    const subscribe = useCallback((listener) => subscribeStoredValue(key, options, listener), [key, options])
+    const stored = useSyncExternalStore(subscribe, () => getStoredValue(key, options))
+    const value = stored === undefined ? fallback : stored
+
+    const setValue = useCallback((next) => {
+        const current = getStoredValue(key, options)
+        const base = current === undefined ? fallback : current
+        setStoredValue(key, typeof next === 'function' ? next(base) : next, options)
+    }, [key, options, fallback])
+
+    const remove = useCallback(() => removeStoredValue(key, options), [key, options])
+
+    return [value, setValue, remove]
+}
@@ -0,0 +1,32 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { StorageDemo } from './StorageDemo';
+import { jsonSerializer } from './serializer';
+
+test('jsonSerializer round trips dates, maps and sets', () => {
+  const value = { at: new Date('2026-01-01T10:00:00.000Z'), tags: new Set(['memo']), byId: new Map([[1, 'a']]) };
+  const text = jsonSerializer.stringify(value);
+  expect(JSON.parse(text).at).toEqual({ __type: 'Date', value: '2026-01-01T10:00:00.000Z' });
+  expect(jsonSerializer.parse(text)).toEqual(value);
+});
+
+test('useStorage shares a key between components and round trips dates and sets', () => {
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+  render(<StorageDemo />);
+
+  userEvent.click(screen.getByRole('button', { name: 'Counter A: 0' }));
+  expect(screen.getByRole('button', { name: 'Counter B: 1' })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Mark visit' }));
+  expect(JSON.parse(window.localStorage.getItem('storage-demo:last-visit'))).toEqual({ __type: 'Date', value: expect.any(String) });
+  expect(screen.queryByText('Last visit: never')).not.toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Forget' }));
+  expect(screen.getByText('Last visit: never')).toBeInTheDocument();
+  expect(window.localStorage.getItem('storage-demo:last-visit')).toBeNull();
+
+  userEvent.click(screen.getByRole('checkbox', { name: 'memo' }));
+  userEvent.click(screen.getByRole('checkbox', { name: 'hooks' }));
+  expect(JSON.parse(window.sessionStorage.getItem('storage-demo:favourites'))).toEqual({ __type: 'Set', value: ['memo', 'hooks'] });
+  expect(screen.getByRole('checkbox', { name: 'hooks' })).toBeChecked();
+});
@@ -0,0 +1,64 @@
+import { jsonSerializer } from './serializer'
+
+// a serializer for values whose shape changes over time
+// it stores { version, value } and upgrades older payloads one version at a time when they are read back
+//
+//   const settingsSerializer = createVersionedSerializer({
+//       migrations: [
+//           (theme) => ({ theme }),                  // 0 -> 1, it used to be just the theme string
+//           (settings) => ({ ...settings, fontSize: 16 }), // 1 -> 2
+//       ],
+//       validate: (settings) => typeof settings.fontSize === 'number' || 'fontSize must be a number',
+//       onError: (error, text) => report(error),
+//   })
+//   useStorage('settings', defaults, { serializer: settingsSerializer })
+//
+// migrations[n] turns version n into version n + 1, the current version is migrations.length unless you pass one
+// values saved before any versioning (no { version, value } wrapper) count as version 0
+// anything that can't be read, migrated or validated goes to onError and the hook falls back to its initial value
+
+const isEnvelope = (payload) => (
+    payload !== null &&
+    typeof payload === 'object' &&
+    !Array.isArray(payload) &&
+    Number.isInteger(payload.version) &&
+    'value' in payload
+)
+
+export const createVersionedSerializer = ({ migrations = [], version = migrations.length, validate, onError, serializer = jsonSerializer } = {}) => {
+    const migrate = (payload) => {
+        let { version: from, value } = isEnvelope(payload) ? payload : { version: 0, value: payload }
+        if (from > version) {
+            throw new Error(`stored version ${from} is newer than the current version ${version}`)
+        }
+        for (; from < version; from++) {
+            if (!migrations[from]) {
+                throw new Error(`no migration from version ${from} to ${from + 1}`)
+            }
+            value = migrations[from](value)
+        }
+        return value
+    }
+
+    return {
+        stringify: (value) => serializer.stringify({ version, value }),
+        parse: (text) => {
+            try {
+                const value = migrate(serializer.parse(text))
+                // validate returns true when the value is fine, false or a message when it isn't
+                const result = validate ? validate(value) : true
+                if (result !== true) {
+                    throw new Error(typeof result === 'string' ? result : 'stored value did not pass validation')
+                }
+                return value
+            } catch (error) {
+                if (onError) {
+                    onError(error, text)
+                } else {
+                    console.error(error)
+                }
+                return undefined
+            }
+        },
+    }
+}
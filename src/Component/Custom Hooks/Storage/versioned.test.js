@@ -0,0 +1,39 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { createVersionedSerializer } from './versioned';
+import { VersionedSettingsDemo } from './VersionedSettingsDemo';
+
+test('createVersionedSerializer migrates one version at a time and reports what it cannot read', () => {
+  const onError = jest.fn();
+  const serializer = createVersionedSerializer({
+    migrations: [(theme) => ({ theme }), (settings) => ({ ...settings, fontSize: 16 })],
+    validate: (settings) => settings.theme !== 'pink' || 'pink is not a theme',
+    onError,
+  });
+  expect(serializer.stringify({ theme: 'dark', fontSize: 12 })).toBe('{"version":2,"value":{"theme":"dark","fontSize":12}}');
+  expect(serializer.parse('"dark"')).toEqual({ theme: 'dark', fontSize: 16 });
+  expect(serializer.parse('{"version":1,"value":{"theme":"light"}}')).toEqual({ theme: 'light', fontSize: 16 });
+
+  expect(serializer.parse('{"version":3,"value":{}}')).toBeUndefined();
+  expect(serializer.parse('"pink"')).toBeUndefined();
+  expect(onError.mock.calls.map(([error]) => error.message)).toEqual([
+    'stored version 3 is newer than the current version 2',
+    'pink is not a theme',
+  ]);
+});
+
+test('versioned storage migrates old payloads and reports the ones that fail validation', () => {
+  window.localStorage.clear();
+  render(<VersionedSettingsDemo />);
+  expect(screen.getByText('Theme: light · Font size: 16')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Load a version 0 payload' }));
+  expect(screen.getByText('Theme: dark · Font size: 16')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Bigger font' }));
+  expect(JSON.parse(window.localStorage.getItem('storage-demo:settings'))).toEqual({ version: 2, value: { theme: 'dark', fontSize: 17 } });
+
+  userEvent.click(screen.getByRole('button', { name: 'Load a broken payload' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('unknown theme "pink"');
+  expect(screen.getByText('Theme: light · Font size: 16')).toBeInTheDocument();
+});
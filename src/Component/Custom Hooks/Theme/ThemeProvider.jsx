@@ -0,0 +1,68 @@
+import React, { createContext, useContext, useLayoutEffect, useMemo } from 'react'
+import { useMediaQuery } from '../MediaQuery/useMediaQuery'
+import { useStorage } from '../Storage/useStorage'
+
+// light / dark theme for the whole app
+//
+// * preference is what the user picked: 'system' (follow prefers-color-scheme), 'light' or 'dark'
+//   it is kept in localStorage, so it survives a reload and other tabs pick it up
+// * theme is what is on screen: the preference, or the system's answer for 'system'
+// * the colors themselves are CSS variables in App.css, the provider only sets data-theme on <html>,
+//   so everything restyles in place without re-rendering the demos
+
+export const THEME_PREFERENCES = ['system', 'light', 'dark']
+
+const ThemeContext = createContext(null)
+
+export const ThemeProvider = ({ children, storageKey = 'theme-preference' }) => {
+    const [preference, setPreference] = useStorage(storageKey, 'system')
+    const prefersDark = useMediaQuery('(prefers-color-scheme: dark)')
+    const systemTheme = prefersDark ? 'dark' : 'light'
+    const theme = preference === 'system' ? systemTheme : preference
+
+    // before paint, the page never shows a frame in the old theme
+    useLayoutEffect(() => {
+        const root = document.documentElement
+        root.dataset.theme = theme
+        root.style.colorScheme = theme
+    }, [theme])
+
+    const value = useMemo(() => ({
+        theme,
+        preference,
+        systemTheme,
+        setPreference: (next) => {
+            if (!THEME_PREFERENCES.includes(next)) {
+                throw new Error(`unknown theme preference "${next}", use ${THEME_PREFERENCES.join(', ')}`)
+            }
+            setPreference(next)
+        },
+        // flips what is on screen, that becomes an explicit preference from then on
+        toggleTheme: () => setPreference(theme === 'dark' ? 'light' : 'dark'),
+    }), [theme, preference, systemTheme, setPreference])
+
+    return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+}
+
+export const useTheme = () => {
+    const value = useContext(ThemeContext)
+    if (!value) {
+        throw new Error('useTheme needs a <ThemeProvider> above it')
+    }
+    return value
+}
+
+// the select the sidebar shows, usable anywhere under the provider
+export const ThemeSwitcher = () => {
+    const { preference, setPreference, systemTheme } = useTheme()
+    return (
+        <label className="theme-switcher">
+            theme{' '}
+            <select value={preference} onChange={e => setPreference(e.target.value)}>
+                {THEME_PREFERENCES.map(option => (
+                    <option key={option} value={option}>{option === 'system' ? `system (${systemTheme})` : option}</option>
+                ))}
+            </select>
+        </label>
+    )
+}
@@ -0,0 +1,47 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MyTestApp from '../../Hooks/useEffectHook/useEffectHook';
+import { ThemeProvider, ThemeSwitcher } from './ThemeProvider';
+
+const renderThemed = () => render(
+  <ThemeProvider>
+    <ThemeSwitcher />
+    <MyTestApp />
+  </ThemeProvider>
+);
+
+test('theme follows the system color scheme until a preference is picked, and keeps it', () => {
+  const listeners = new Set();
+  const darkQuery = { matches: true, media: '(prefers-color-scheme: dark)', addEventListener: (type, fn) => listeners.add(fn), removeEventListener: (type, fn) => listeners.delete(fn) };
+  window.matchMedia = jest.fn(() => darkQuery);
+  const { unmount } = renderThemed();
+
+  const select = screen.getByRole('combobox', { name: /theme/ });
+  expect(select).toHaveValue('system');
+  expect(screen.getByRole('option', { name: 'system (dark)' })).toBeInTheDocument();
+  expect(document.documentElement.dataset.theme).toBe('dark');
+  expect(screen.getByRole('heading', { name: 'dark' })).toBeInTheDocument();
+
+  // the OS switches to light
+  act(() => {
+    darkQuery.matches = false;
+    listeners.forEach(fn => fn({ matches: false }));
+  });
+  expect(document.documentElement.dataset.theme).toBe('light');
+  expect(screen.getByRole('heading', { name: 'light' })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'switch to dark' }));
+  expect(select).toHaveValue('dark');
+  expect(document.documentElement.dataset.theme).toBe('dark');
+  expect(JSON.parse(window.localStorage.getItem('theme-preference'))).toBe('dark');
+
+  // an explicit preference ignores the system and survives a remount
+  unmount();
+  renderThemed();
+  expect(screen.getByRole('combobox', { name: /theme/ })).toHaveValue('dark');
+  userEvent.selectOptions(screen.getByRole('combobox', { name: /theme/ }), 'system');
+  expect(document.documentElement.dataset.theme).toBe('light');
+
+  delete window.matchMedia;
+  window.localStorage.removeItem('theme-preference');
+});
@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react'
+
+// Dan Abramov's useInterval with controls on top
+//
+//   const { isRunning, pause, resume, reset } = useInterval(() => setCount(c => c + 1), 1000)
+//
+// * the callback can change every render (and read fresh state), the interval is NOT restarted for it
+// * delay = null means paused, changing the delay restarts the interval with the new one
+// * pause / resume stop and start it without touching the delay, reset starts a full delay again from now
+// * the interval is cleared on unmount
+
+export const useInterval = (callback, delay) => {
+    const latest = useRef(callback)
+    useLayoutEffect(() => {
+        latest.current = callback
+    })
+
+    const [paused, setPaused] = useState(false)
+    // bumped by reset, a new value re-runs the effect below and so restarts the interval
+    const [generation, setGeneration] = useState(0)
+    const isRunning = delay !== null && delay !== undefined && !paused
+
+    useEffect(() => {
+        if (!isRunning) return
+        const id = setInterval(() => latest.current(), delay)
+        return () => {
+            clearInterval(id)
+        }
+    }, [isRunning, delay, generation])
+
+    const pause = useCallback(() => setPaused(true), [])
+    const resume = useCallback(() => setPaused(false), [])
+    const reset = useCallback(() => setGeneration(g => g + 1), [])
+
+    return { isRunning, pause, resume, reset }
+}
@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react'
+
+// the one shot sibling of useInterval
+//
+//   const { isPending, pause, resume, reset, clear } = useTimeout(() => setVisible(false), 3000)
+//
+// * always calls the latest callback, delay = null means paused
+// * going from null to a delay arms it again, also after it already fired ("stop in 5s" works more than once)
+// * pause keeps the time that was left, resume only waits for the rest of it
+// * reset starts the full delay again, also after the timeout already fired
+// * clear cancels it for good (until the next reset or delay), unmount clears it too
+
+export const useTimeout = (callback, delay) => {
+    const latest = useRef(callback)
+    useLayoutEffect(() => {
+        latest.current = callback
+    })
+
+    const [paused, setPaused] = useState(false)
+    const [done, setDone] = useState(false)
+    const [generation, setGeneration] = useState(0)
+    const hasDelay = delay !== null && delay !== undefined
+    // adjusted while rendering (like getDerivedStateFromProps) so the render that gets the delay is already pending
+    const [armed, setArmed] = useState(hasDelay)
+    if (armed !== hasDelay) {
+        setArmed(hasDelay)
+        if (hasDelay) {
+            setDone(false)
+            setGeneration(g => g + 1)
+        }
+    }
+    // what was left when it got paused, for the delay and generation it was paused in (anything newer starts from the beginning)
+    const remaining = useRef(null)
+    // the timeout that runs right now, null while nothing runs
+    const running = useRef(null)
+    const isPending = hasDelay && !paused && !done
+
+    useEffect(() => {
+        if (!isPending) return
+        const left = remaining.current
+        const wait = left && left.delay === delay && left.generation === generation ? left.ms : delay
+        remaining.current = null
+        running.current = { delay, generation, deadline: Date.now() + wait }
+        const id = setTimeout(() => {
+            setDone(true)
+            latest.current()
+        }, wait)
+        return () => {
+            clearTimeout(id)
+            running.current = null
+        }
+    }, [isPending, delay, generation])
+
+    const pause = useCallback(() => {
+        const current = running.current
+        if (current) {
+            remaining.current = { delay: current.delay, generation: current.generation, ms: Math.max(0, current.deadline - Date.now()) }
+        }
+        setPaused(true)
+    }, [])
+    const resume = useCallback(() => setPaused(false), [])
+    const reset = useCallback(() => {
+        remaining.current = null
+        setDone(false)
+        setPaused(false)
+        setGeneration(g => g + 1)
+    }, [])
+    const clear = useCallback(() => {
+        remaining.current = null
+        setDone(true)
+    }, [])
+
+    return { isPending, pause, resume, reset, clear }
+}
@@ -0,0 +1,70 @@
+import { act, renderHook } from '@testing-library/react';
+import { useTimeout } from './useTimeout';
+import { useInterval } from './useInterval';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('useTimeout resumes with the time that was left and can be reset after it fired', () => {
+  const callback = jest.fn();
+  const { result } = renderHook(() => useTimeout(callback, 1000));
+
+  act(() => jest.advanceTimersByTime(600));
+  act(() => result.current.pause());
+  act(() => jest.advanceTimersByTime(5000));
+  expect(callback).not.toHaveBeenCalled();
+  act(() => result.current.resume());
+  act(() => jest.advanceTimersByTime(400));
+  expect(callback).toHaveBeenCalledTimes(1);
+  expect(result.current.isPending).toBe(false);
+
+  act(() => result.current.reset());
+  expect(result.current.isPending).toBe(true);
+  act(() => jest.advanceTimersByTime(1000));
+  expect(callback).toHaveBeenCalledTimes(2);
+});
+
+test('useTimeout arms again when the delay comes back after null, also after it fired', () => {
+  const callback = jest.fn();
+  const { result, rerender } = renderHook(({ delay }) => useTimeout(callback, delay), { initialProps: { delay: 1000 } });
+  act(() => jest.advanceTimersByTime(1000));
+  expect(callback).toHaveBeenCalledTimes(1);
+  expect(result.current.isPending).toBe(false);
+
+  rerender({ delay: null });
+  rerender({ delay: 1000 });
+  expect(result.current.isPending).toBe(true);
+  act(() => jest.advanceTimersByTime(1000));
+  expect(callback).toHaveBeenCalledTimes(2);
+
+  // what was left of a paused run is not carried over to the next one
+  rerender({ delay: null });
+  rerender({ delay: 1000 });
+  act(() => jest.advanceTimersByTime(800));
+  act(() => result.current.pause());
+  rerender({ delay: null });
+  rerender({ delay: 1000 });
+  act(() => result.current.resume());
+  act(() => jest.advanceTimersByTime(200));
+  expect(callback).toHaveBeenCalledTimes(2);
+  act(() => jest.advanceTimersByTime(800));
+  expect(callback).toHaveBeenCalledTimes(3);
+});
+
+test('useInterval calls the latest callback without restarting', () => {
+  const calls = [];
+  const { rerender, result } = renderHook(({ label }) => useInterval(() => calls.push(label), 100), { initialProps: { label: 'a' } });
+  act(() => jest.advanceTimersByTime(150));
+  rerender({ label: 'b' });
+  act(() => jest.advanceTimersByTime(50));
+  expect(calls).toEqual(['a', 'b']);
+
+  act(() => result.current.pause());
+  act(() => jest.advanceTimersByTime(500));
+  expect(calls).toEqual(['a', 'b']);
+});
@@ -0,0 +1,44 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useSessionStorage } from './useSessionStorage';
+import { SessionSyncDemo } from './Storage/SessionSyncDemo';
+
+// the add button App.js shows under every demo reads the same key without broadcast
+const AddButton = () => {
+  const [value, setValue] = useSessionStorage('woo', 0);
+  return <button onClick={() => setValue(value + 1)}>add: {value}</button>;
+};
+
+test('useSessionStorage keeps every "woo" on the page and the tabs that opted in in sync', () => {
+  const channels = [];
+  global.BroadcastChannel = class {
+    constructor(name) {
+      this.name = name;
+      this.sent = [];
+      channels.push(this);
+    }
+    postMessage(data) {
+      this.sent.push(data);
+    }
+    close() {}
+  };
+  render(
+    <>
+      <SessionSyncDemo />
+      <AddButton />
+    </>
+  );
+
+  userEvent.click(screen.getByRole('button', { name: 'First reset' }));
+  userEvent.click(screen.getByRole('button', { name: 'First +1' }));
+  expect(screen.getByText('Second: 1')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'add: 1' })).toBeInTheDocument();
+  expect(channels).toHaveLength(1);
+  expect(channels[0].sent).toEqual([{ backend: 'session', key: 'woo', text: null }, { backend: 'session', key: 'woo', text: '1' }]);
+
+  // another tab bumped it
+  act(() => channels[0].onmessage({ data: { backend: 'session', key: 'woo', text: '5' } }));
+  expect(screen.getByText('First: 5')).toBeInTheDocument();
+  expect(window.sessionStorage.getItem('woo')).toBe('5');
+  delete global.BroadcastChannel;
+});
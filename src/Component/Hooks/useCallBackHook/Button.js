@@ -1,7 +1,10 @@
 import React from 'react'
+import { useWhyDidYouUpdate } from '../../Custom Hooks/Debug/debugHooks'
 
 function Button({ handleClick, children }) {
   console.log('Rendering button - ', children)
+  // without useCallback in the parent this says "handleClick: new function" on every render
+  useWhyDidYouUpdate(`Button (${children})`, { handleClick, children })
   return (
     <button onClick={handleClick}>
       {children}
@@ -1,7 +1,9 @@
 import React from 'react'
+import { useWhyDidYouUpdate } from '../../Custom Hooks/Debug/debugHooks'
 
 function Count({ text, count }) {
 	console.log(`Rendering ${text}`)
+	useWhyDidYouUpdate(`Count (${text})`, { text, count })
 	return <div>{text} - {count}</div>
 }
 
@@ -1,7 +1,10 @@
 import React from 'react';
+import { useWhyDidYouUpdate } from '../../Custom Hooks/Debug/debugHooks';
 
 function Title() {
   console.log('Rendering Title');
+  // no props at all, so any report here is "nothing it was given changed" (take React.memo off to see it)
+  useWhyDidYouUpdate('Title', {});
   return (
     <h2>
       useCallback Hook
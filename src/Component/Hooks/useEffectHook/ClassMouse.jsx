@@ -1,4 +1,5 @@
 import React, { Component } from 'react'
+import { EventListener } from '../../Custom Hooks/EventListener/useEventListener'
 
 export class ClassMouse extends Component {
     constructor(props) {
@@ -18,16 +19,18 @@ export class ClassMouse extends Component {
 
     componentDidMount(){
         console.log('componentDidMount ran once');
-       window.addEventListener('mousemove',this.logMousePosition)
+    //    window.addEventListener('mousemove',this.logMousePosition)
     }
 
     componentDidUpdate(){
         console.log('component did update running')
     }
 
-    componentWillUnmount(){
-        window.removeEventListener('mousemove',this.logMousePosition)
-    }
+    // ! add in componentDidMount and remove in componentWillUnmount had to be kept in sync by hand (same function, same capture flag)
+    // ! a class can't call useEventListener, but it can render <EventListener> which adds it on mount and removes it on unmount
+    // componentWillUnmount(){
+    //     window.removeEventListener('mousemove',this.logMousePosition)
+    // }
 
     logMousePosition = (e)=>{
        this.setState({X:e.clientX,Y:e.clientY})
@@ -36,7 +39,10 @@ export class ClassMouse extends Component {
 
   render() {
     return (
-      <div>X: {this.state.X} Y: {this.state.Y}</div>
+      <div>
+        <EventListener type="mousemove" handler={this.logMousePosition} />
+        X: {this.state.X} Y: {this.state.Y}
+      </div>
     )
   }
 }
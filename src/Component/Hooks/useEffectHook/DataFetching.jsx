@@ -1,23 +1,21 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState } from 'react'
 // import axios from 'axios'
+import { checkStatus } from '../../Custom Hooks/Fetch/useFetch'
+import { useQuery } from '../../Custom Hooks/Query/useQuery'
 
 export function DataFetching() {
-	const [post, setPost] = useState({})
 	const [id, setId] = useState(1)
 	const [idFromButtonClick, setIdFromButtonClick] = useState(1)
 
-	useEffect(() => {
-        // let url1 = `https://jsonplaceholder.typicode.com/posts/${id}`
-        let url2 = `https://jsonplaceholder.typicode.com/posts/${idFromButtonClick}`
-			fetch(url2)
-			.then(res => {
-                return res.json();
-			}).then(data=>{            
-                setPost(data)
-            }).catch(err => {
-				console.log(err)
-			})
-	}, [idFromButtonClick]) 
+	// let url1 = `https://jsonplaceholder.typicode.com/posts/${id}`
+	let url2 = `https://jsonplaceholder.typicode.com/posts/${idFromButtonClick}`
+	// the fetch / then / catch that used to be in a useEffect here now lives in useFetch (Custom Hooks/Fetch)
+	// it also aborts the previous request when the url changes and treats a 404 as an error instead of an empty post
+	// useQuery (Custom Hooks/Query) adds the shared cache on top, fetching a post id u already fetched is instant
+	// the input hands over a string after the first edit, Number keeps ['posts', 1] one entry however the id got here
+	const { data: post = {}, isLoading, error } = useQuery(['posts', Number(idFromButtonClick)], ({ signal }) => (
+		fetch(url2, { signal }).then(checkStatus)
+	))
 
     // url1=> id as dependecy (API runs on every charecter type )
     // url2 => idFromButtonClick as dependecy (API runs on click )
@@ -34,6 +32,8 @@ export function DataFetching() {
 		<div>
 			<input type="text" value={id} onChange={e => setId(e.target.value)} />
 			<button type="button" onClick={handleClick}>Fetch Post</button>
+			{isLoading && <p>Loading .....</p>}
+			{error && <p>{error.message}</p>}
 			<div>{post.title}</div>
 			{/* <ul>
 				{posts.map(post => (
@@ -43,4 +43,3 @@ export function DataFetching() {
 		</div>
 	)
 }
-
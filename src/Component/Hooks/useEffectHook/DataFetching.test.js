@@ -0,0 +1,33 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { createQueryClient } from '../../Custom Hooks/Query/queryClient';
+import { QueryProvider } from '../../Custom Hooks/Query/useQuery';
+import { DataFetching } from './DataFetching';
+
+test('fetching the same post id from the input reads the entry the first render cached', async () => {
+  global.fetch = jest.fn((url) => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({ id: Number(url.split('/').pop()), title: `post ${url.split('/').pop()}` }),
+  }));
+  render(
+    <QueryProvider client={createQueryClient({ staleTime: 30000 })}>
+      <DataFetching />
+    </QueryProvider>
+  );
+  expect(await screen.findByText('post 1')).toBeInTheDocument();
+
+  const input = screen.getByRole('textbox');
+  userEvent.clear(input);
+  userEvent.type(input, '2');
+  userEvent.click(screen.getByRole('button', { name: 'Fetch Post' }));
+  expect(await screen.findByText('post 2')).toBeInTheDocument();
+
+  // the input gives '1' now, the first request was for the number 1
+  userEvent.clear(input);
+  userEvent.type(input, '1');
+  userEvent.click(screen.getByRole('button', { name: 'Fetch Post' }));
+  expect(await screen.findByText('post 1')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  delete global.fetch;
+});
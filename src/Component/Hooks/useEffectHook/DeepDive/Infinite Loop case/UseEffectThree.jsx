@@ -1,4 +1,5 @@
-import React,{useState,useEffect} from 'react'
+import React,{useState} from 'react'
+import { useInterval } from '../../../../Custom Hooks/Timers/useInterval'
 
 export const UseEffectThree = () => {
     const [count,setCount] = useState(0)
@@ -17,20 +18,39 @@ export const UseEffectThree = () => {
  */
 
 
-    useEffect(()=>{
-        console.log('useEffect will be stuck in infinite loop')
-        const interval = setInterval(()=>{
-            setCount(prev=>prev+1)
-        },1000)
+    // the working version with setInterval by hand, the updater (prev=>prev+1) is what lets it get away with []
+//    useEffect(()=>{
+//        console.log('useEffect will be stuck in infinite loop')
+//        const interval = setInterval(()=>{
+//            setCount(prev=>prev+1)
+//        },1000)
+
+//        // code is running fine but since it is a timer to prevent memory leak we should cleanup this timer when component unmount 
 
-        // code is running fine but since it is a timer to prevent memory leak we should cleanup this timer when component unmount 
+//        return ()=>{
+//             clearInterval(interval)
+//        }
+//    },[])
 
-        return ()=>{
-             clearInterval(interval)
-        }
-    },[])
+    // ! useInterval always calls the latest callback, so even `count+1` is safe here and the interval is set up once
+    // ! the delay is just a value: change it and the interval restarts with it, null pauses it
+    const [delay,setDelay] = useState(1000)
+    const { isRunning, pause, resume } = useInterval(()=>{
+        setCount(count+1)
+    },delay)
 
   return (
-    <div>Count-{count}</div>
+    <div>
+        <div>Count-{count}</div>
+        <label>
+            tick every{' '}
+            <select value={delay} onChange={e=>setDelay(Number(e.target.value))}>
+                <option value={250}>250ms</option>
+                <option value={1000}>1s</option>
+                <option value={3000}>3s</option>
+            </select>
+        </label>
+        <button onClick={isRunning ? pause : resume}>{isRunning ? 'pause' : 'resume'}</button>
+    </div>
   )
 }
@@ -0,0 +1,37 @@
+import React, { useEffect } from 'react'
+import { Link, Route, Routes, useLocation } from 'react-router-dom'
+import { Home } from './Home'
+import { Posts, PostsWithFlag } from './Posts'
+import { UserById } from './UserById'
+import User from './User'
+import { RequestLogPanel } from './RequestLogPanel'
+import { startNavigation } from './requestLog'
+
+// the mini app is mounted under its own url so every route below is relative to it
+// Posts and UserById read through the shared query cache (UserById's comments tell how it got there from a hand written AbortController),
+// PostsWithFlag keeps the subscribe flag version and User uses axios cancel token
+export const CleanupApp = () => {
+    const { pathname } = useLocation()
+
+    useEffect(() => {
+        startNavigation(pathname)
+    }, [pathname])
+
+    return (
+        <div className="cleanup-app">
+            <nav>
+                <Link to="">Home</Link>
+            </nav>
+            <Routes>
+                <Route index element={<Home />} />
+                <Route path="posts" element={<Posts />} />
+                <Route path="posts-flag" element={<PostsWithFlag />} />
+                <Route path="users/:id" element={<UserById />} />
+                <Route path="axios">
+                    <Route path="users/:id" element={<User />} />
+                </Route>
+            </Routes>
+            <RequestLogPanel />
+        </div>
+    )
+}
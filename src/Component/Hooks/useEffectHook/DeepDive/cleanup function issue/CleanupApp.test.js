@@ -0,0 +1,69 @@
+import { act, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { createQueryClient } from '../../../../Custom Hooks/Query/queryClient';
+import { QueryProvider } from '../../../../Custom Hooks/Query/useQuery';
+import { CleanupApp } from './CleanupApp';
+import { clearRequestLog } from './requestLog';
+
+const POSTS = [{ id: 1, title: 'first post' }];
+
+// the posts request stays open until the test answers it
+let answerPosts;
+
+beforeEach(() => {
+  clearRequestLog();
+  global.fetch = jest.fn(() => new Promise((resolve) => {
+    answerPosts = () => resolve({ json: () => Promise.resolve(POSTS) });
+  }));
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  window.alert.mockRestore();
+  console.log.mockRestore();
+  delete global.fetch;
+});
+
+const renderCleanupApp = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <CleanupApp />
+  </MemoryRouter>
+);
+
+test('the subscribe flag posts set their state and alert when they are still mounted', async () => {
+  renderCleanupApp('/posts-flag');
+  await act(async () => answerPosts());
+
+  expect(screen.getByText('first post')).toBeInTheDocument();
+  expect(window.alert).toHaveBeenCalledWith('posts are ready updating the state');
+  expect(within(screen.getByRole('region', { name: 'Request log' })).getByText('resolved')).toBeInTheDocument();
+});
+
+test('leaving the subscribe flag posts early lets the request finish as "resolved after unmount"', async () => {
+  renderCleanupApp('/posts-flag');
+  userEvent.click(screen.getByRole('link', { name: 'Home' }));
+  await act(async () => answerPosts());
+
+  expect(window.alert).not.toHaveBeenCalled();
+  const log = within(screen.getByRole('region', { name: 'Request log' }));
+  expect(log.getByText('/posts-flag')).toBeInTheDocument();
+  expect(log.getByText('resolved after unmount')).toBeInTheDocument();
+});
+
+test('a user opened from the url shares the cache entry of the numeric id', async () => {
+  const client = createQueryClient({ staleTime: 30000 });
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ id: 1, name: 'Leanne Graham' }) }));
+  render(
+    <QueryProvider client={client}>
+      <MemoryRouter initialEntries={['/users/1']}>
+        <CleanupApp />
+      </MemoryRouter>
+    </QueryProvider>
+  );
+
+  expect(await screen.findByText('Name: Leanne Graham')).toBeInTheDocument();
+  expect(client.getQueryData(['users', 1])).toEqual({ id: 1, name: 'Leanne Graham' });
+  expect(client.getQueryData(['users', '1'])).toBeUndefined();
+});
@@ -8,9 +8,13 @@ export const Home = () => {
   return (
     <div>
         <h1>useEffect cleanup example</h1>
-        <Link to='/posts'>Go to the Posts </Link>
+        <Link to='posts'>Go to the Posts </Link>
         <br></br>
-        <Link to='/users/1'>Go to the user </Link>
+        <Link to='posts-flag'>Go to the Posts (subscribe flag) </Link>
+        <br></br>
+        <Link to='users/1'>Go to the user </Link>
+        <br></br>
+        <Link to='axios/users/1'>Go to the user (axios) </Link>
     </div>
   )
 }
@@ -1,7 +1,11 @@
 import React,{useEffect, useState} from 'react'
+import { trackedFetch, trackRequest } from './requestLog'
+import { checkStatus } from '../../../../Custom Hooks/Fetch/useFetch'
+import { useQuery } from '../../../../Custom Hooks/Query/useQuery'
+
+const url = "https://jsonplaceholder.typicode.com/posts"
 
 export const Posts = () => {
- const [posts,setPosts] = useState([])
  // to cancel the API call we have to use claeanup function 
  //in cleanup function we can go with two approaches one with setting a flag true and false  that will only preventing from setting a state on unmounted component but not cancel the API 
  
@@ -9,25 +13,45 @@ export const Posts = () => {
 
  // 
 
+ // the subscribe flag version (PostsWithFlag below, route posts-flag) only stopped the setState, the request still ran every time u opened the page
+ // useQuery keeps the posts in the shared cache: coming back within staleTime (30s in App.js) shows them without a request
+ // and leaving before they are back aborts the request since nobody is waiting for it any more
+ const { data: posts = [], isLoading, error } = useQuery(['posts'], ({ signal }) => (
+    trackedFetch('Posts')(url, { signal }).then(checkStatus)
+ ))
+
+  return (
+    <div>
+        {isLoading && <p>Loading posts .....</p>}
+        {error && <p>{error.message}</p>}
+        {posts.map(data=>{
+            return (
+                <p key={data.id}>{data.title}</p>
+            )
+        })}
+    </div>
+  )
+}
+
+// kept live next to the cached one so the two cleanups can be compared in the request log
+// leave the page before the posts are back: this one shows "resolved after unmount", the cached one "aborted"
+export const PostsWithFlag = () => {
+ const [posts,setPosts] = useState([])
+
  useEffect(()=>{
     let subscribe = true;
     const fetchPost  = async()=>{
-       
-            const data = await fetch("https://jsonplaceholder.typicode.com/posts").then(res=>res.json()).then(data=>data)
+            // the request log panel shows this one as "resolved after unmount" when u leave the page before it is back
+            const request = trackRequest('PostsWithFlag', url)
+            const data = await fetch(url).then(res=>res.json()).then(data=>data)
             console.log(data);
             if(subscribe){
+                request.resolved()
                 alert('posts are ready updating the state'); // this is to test that even when this component unmount the API call is intact and it will return the data and we are trying to set a state on an unmounted component
                 setPosts(data)
+            }else{
+                request.resolvedAfterUnmount()
             }
-        
-
-        // const data = await fetch("https://jsonplaceholder.typicode.com/posts").then(res=>res.json()).then(data=>data)
-        // console.log(data);
-        // alert('posts are ready updating the state');
-         
-
-        //  setPosts(data)
-       
     }
     fetchPost()
 
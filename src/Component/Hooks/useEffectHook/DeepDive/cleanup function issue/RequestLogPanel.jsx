@@ -0,0 +1,42 @@
+import React, { useSyncExternalStore } from 'react'
+import { clearRequestLog, getRequestLog, REQUEST_STATUS, subscribeRequestLog } from './requestLog'
+import './requestLog.css'
+
+const statusClass = {
+    [REQUEST_STATUS.STARTED]: 'pending',
+    [REQUEST_STATUS.RESOLVED]: 'ok',
+    [REQUEST_STATUS.RESOLVED_AFTER_UNMOUNT]: 'leaked',
+    [REQUEST_STATUS.ABORTED]: 'aborted',
+    [REQUEST_STATUS.FAILED]: 'leaked',
+}
+
+// flag approach (PostsWithFlag) -> the request still finishes and shows up as "resolved after unmount"
+// abort approach (Posts, UserById, User) -> the request itself is cancelled and shows up as "aborted"
+export const RequestLogPanel = () => {
+    const navigations = useSyncExternalStore(subscribeRequestLog, getRequestLog)
+
+    return (
+        <section className="request-log" aria-label="Request log">
+            <h3>Requests per navigation</h3>
+            <button onClick={clearRequestLog}>clear log</button>
+            {navigations.length === 0 && <p>navigate around to see requests here</p>}
+            <ol>
+                {navigations.map(navigation => (
+                    <li key={navigation.id}>
+                        <code>{navigation.pathname}</code>
+                        <ul>
+                            {navigation.requests.length === 0 && <li>no requests</li>}
+                            {navigation.requests.map(request => (
+                                <li key={request.id}>
+                                    <b>{request.component}</b> {request.url.replace('https://jsonplaceholder.typicode.com', '')}
+                                    {' '}<span className={`request-status ${statusClass[request.status]}`}>{request.status}</span>
+                                    {request.settledAt && ` after ${request.settledAt - request.startedAt}ms`}
+                                </li>
+                            ))}
+                        </ul>
+                    </li>
+                ))}
+            </ol>
+        </section>
+    )
+}
@@ -1,10 +1,11 @@
 import axios from "axios";
 import React, { useEffect, useState } from "react";
-import { Link, useLocation } from "react-router-dom";
+import { Link, useParams } from "react-router-dom";
+import { trackRequest } from "./requestLog";
 
 const User = () => {
   const [user, setUser] = useState({});
-  const id = useLocation().pathname.split("/")[2];
+  const { id } = useParams();
 
   //FETCH AND CLEAN-UP
 
@@ -49,19 +50,24 @@ const User = () => {
   //FETCH AND ABORT (AXIOS)
   useEffect(() => {
     const cancelToken = axios.CancelToken.source();
+    const url = `https://jsonplaceholder.typicode.com/users/${id}`;
+    const request = trackRequest("User (axios)", url);
 
     axios
-      .get(`https://jsonplaceholder.typicode.com/users/${id}`, {
+      .get(url, {
         cancelToken: cancelToken.token,
       })
       .then((res) => {
+        request.resolved();
         setUser(res.data);
       })
       .catch((err) => {
         if (axios.isCancel(err)) {
+          request.aborted();
           console.log("Request canceled!");
         } else {
           //todo:handle error
+          request.failed();
         }
       });
 
@@ -75,9 +81,9 @@ const User = () => {
       <p>Name: {user.name}</p>
       <p>Username: {user.username}</p>
       <p>Email: {user.email}</p>
-      <Link to="/users/1">Fetch User 1</Link>
-      <Link to="/users/2">Fetch User 2</Link>
-      <Link to="/users/3">Fetch User 3</Link>
+      <Link to="../users/1">Fetch User 1</Link>
+      <Link to="../users/2">Fetch User 2</Link>
+      <Link to="../users/3">Fetch User 3</Link>
     </div>
   );
 };
@@ -1,8 +1,10 @@
-import React,{useEffect, useState} from 'react'
+import React from 'react'
 import {Link, useParams} from 'react-router-dom'
+import { trackedFetch } from './requestLog'
+import { checkStatus } from '../../../../Custom Hooks/Fetch/useFetch'
+import { useQuery } from '../../../../Custom Hooks/Query/useQuery'
 
 export const UserById = () => {
- const [user,setUser] = useState({})
 
 
  // we have seen that in case of unmounting issue we can prevent by providing a flag and then setting a data 
@@ -13,40 +15,28 @@ export const UserById = () => {
 
   // now in console u can see that request is getting cancelled 
 
+  // ! the hand written version called setUser(undefined) after an abort (the catch returned nothing and we still set it)
+  // ! useFetch owned the AbortController after that, an aborted request never touches state and the old user stays until the new one arrives
+  // ! now the shared query cache owns it: switching user still aborts the request nobody waits for,
+  // ! but going back to a user u already opened shows it straight from the cache (no request within staleTime)
+
  const {id} = useParams()
 
- useEffect(()=>{
-    const controller = new AbortController()
-    const signal = controller.signal
-    let subscribe = true;
-    const fetchPost  = async()=>{ 
-            const data = await fetch(`https://jsonplaceholder.typicode.com/users/${id}`,{signal:signal}).then(res=>res.json()).then(data=>data).catch(err=>{
-                if(err.name === 'AbortError'){
-                    console.log('request has been cancelled')
-                }else{
-                    console.log('other error')
-                }
-            })
-            console.log(data);
-            if(subscribe){
-                setUser(data)
-            }
-    }
-    fetchPost()
-
-    return ()=>{
-        subscribe = false
-        controller.abort();
-    }
- },[id])
+ // the url gives '1', the rest of the app asks for ['users', 1], and '1' and 1 are two cache entries
+ const { data: user = {}, isLoading, error } = useQuery(['users', Number(id)], ({ signal }) => (
+    trackedFetch('UserById')(`https://jsonplaceholder.typicode.com/users/${id}`, { signal }).then(checkStatus)
+ ))
+
   return (
     <div>
+        {isLoading && <p>Loading user {id} .....</p>}
+        {error && <p>{error.message}</p>}
         <p>Name: {user.name}</p>
         <p>Username : {user.username}</p>
         <p>Email: {user.email}</p>
-        <Link to='/users/1'>Fetch User 1</Link>
-        <Link to='/users/2'>Fetch User 2</Link>
-        <Link to='/users/3'>Fetch User 3</Link>
+        <Link to='../users/1'>Fetch User 1</Link>
+        <Link to='../users/2'>Fetch User 2</Link>
+        <Link to='../users/3'>Fetch User 3</Link>
     </div>
   )
 }
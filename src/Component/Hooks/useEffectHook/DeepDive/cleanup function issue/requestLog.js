@@ -0,0 +1,85 @@
+// tiny store that records what happened to every request of the cleanup mini app
+// requests are grouped by the navigation (pathname) that was active when they started
+// so after clicking around you can see which ones were aborted and which ones still came back after the component unmounted
+
+export const REQUEST_STATUS = {
+    STARTED: 'started',
+    RESOLVED: 'resolved',
+    RESOLVED_AFTER_UNMOUNT: 'resolved after unmount',
+    ABORTED: 'aborted',
+    FAILED: 'failed',
+}
+
+let navigations = []
+let nextId = 1
+const listeners = new Set()
+
+const emit = () => {
+    listeners.forEach(listener => listener())
+}
+
+export const subscribeRequestLog = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+export const getRequestLog = () => navigations
+
+export const startNavigation = (pathname) => {
+    const last = navigations[navigations.length - 1]
+    if (last && last.pathname === pathname) return
+    navigations = [...navigations, { id: nextId++, pathname, requests: [] }]
+    emit()
+}
+
+const updateRequest = (requestId, status) => {
+    navigations = navigations.map(navigation => ({
+        ...navigation,
+        requests: navigation.requests.map(request => (
+            request.id === requestId ? { ...request, status, settledAt: Date.now() } : request
+        )),
+    }))
+    emit()
+}
+
+// call it right before the fetch, then report how the request ended through the returned handle
+export const trackRequest = (component, url) => {
+    const request = { id: nextId++, component, url, status: REQUEST_STATUS.STARTED, startedAt: Date.now() }
+    if (!navigations.length) {
+        navigations = [{ id: nextId++, pathname: '(initial)', requests: [] }]
+    }
+    const current = navigations[navigations.length - 1]
+    navigations = [...navigations.slice(0, -1), { ...current, requests: [...current.requests, request] }]
+    emit()
+
+    return {
+        resolved: () => updateRequest(request.id, REQUEST_STATUS.RESOLVED),
+        resolvedAfterUnmount: () => updateRequest(request.id, REQUEST_STATUS.RESOLVED_AFTER_UNMOUNT),
+        aborted: () => updateRequest(request.id, REQUEST_STATUS.ABORTED),
+        failed: () => updateRequest(request.id, REQUEST_STATUS.FAILED),
+    }
+}
+
+// a fetch that reports to the log, for hooks that take a fetcher e.g. useFetch(url, { fetcher: trackedFetch('UserById') })
+export const trackedFetch = (component) => (url, init) => {
+    const request = trackRequest(component, url)
+    return fetch(url, init).then(
+        resp => {
+            request.resolved()
+            return resp
+        },
+        err => {
+            if (err.name === 'AbortError') {
+                request.aborted()
+            } else {
+                request.failed()
+            }
+            throw err
+        }
+    )
+}
+
+export const clearRequestLog = () => {
+    navigations = []
+    emit()
+}
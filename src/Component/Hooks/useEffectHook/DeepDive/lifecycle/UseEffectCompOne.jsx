@@ -1,8 +1,12 @@
 import React, { useEffect, useState } from "react";
+import { createLifecycleTrace, useLifecycleTrace } from "../../../../../Catalog/lifecycleTrace";
+
+const trace = createLifecycleTrace("UseEffectCompOne");
 
 const UseEffectCompOne = () => {
   const [number, setNumber] = useState(0);
   const [name, setName] = useState("");
+  useLifecycleTrace(trace);
 
   //MISTAKE (NO DEPENDENCY)
   // useEffect(() => {
@@ -11,12 +15,13 @@ const UseEffectCompOne = () => {
   // },);
 
   //CORRECT
+  // the timeline numbers the commits, so typing in the input shows renders without an effect next to them
   useEffect(() => {
-    console.count("useEffect runs!");
+    trace.effect("useEffect runs!");
     document.title = `You clicked ${number} times`;
   }, [number]);
 
-  console.count("component rendered!");
+  trace.render("component rendered!");
 
   return (
     <div>
@@ -5,8 +5,12 @@
 */
 
 import React, { useEffect, useMemo, useState } from "react";
+import { createLifecycleTrace, useLifecycleTrace } from "../../../../../Catalog/lifecycleTrace";
+
+const trace = createLifecycleTrace("UseEffectCompTwo");
 
 const UseEffectCompTwo = () => {
+  useLifecycleTrace(trace);
   const [name, setName] = useState("");
   const [state, setState] = useState({
     name: "",
@@ -22,7 +26,7 @@ const UseEffectCompTwo = () => {
   );
 
     useEffect(() => {
-    console.log(`The will run even state are same since the reference is different!`);
+    trace.effect(`The will run even state are same since the reference is different!`);
   }, [state]);
 
   // MEMOIZED DEPENDENCY
@@ -32,7 +36,7 @@ const UseEffectCompTwo = () => {
 
   // PRIMITIVE PROPERTY BASED DEPENDENCY
   useEffect(() => {
-    console.log(`The state has changed, useEffect runs!`);
+    trace.effect(`The state has changed, useEffect runs!`);
   }, [state.name, state.selected]);
 
   const handleAddName = () => {
@@ -1,20 +1,24 @@
 
 import React, { useEffect, useState } from "react";
+import { createLifecycleTrace, useLifecycleTrace } from "../../../../../Catalog/lifecycleTrace";
+
+const trace = createLifecycleTrace("UseEffectCleanup");
 
 const UseEffectCleanup = () => {
   const [toggle, setToggle] = useState(false);
+  useLifecycleTrace(trace);
 
   //HOW CLEAN-UP FUNCTIONS WORK
   useEffect(() => {
-    console.log("useEffect runs!");
+    trace.effect("useEffect runs!");
     //do sth with toggle
 
     return () => {
-      console.log(
+      trace.cleanup(
         "Wait! before running the effect, I should clear here."
       );
       //clear sth from the previous useEffect.
-      console.log(
+      trace.cleanup(
         "Okey done! You can run"
       );
     };
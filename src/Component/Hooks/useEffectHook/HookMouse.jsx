@@ -1,4 +1,5 @@
-import React,{useState,useEffect} from 'react'
+import React,{useState} from 'react'
+import { useEventListener } from '../../Custom Hooks/EventListener/useEventListener'
 
 
 export const HookMouse = () => {
@@ -7,21 +8,26 @@ export const HookMouse = () => {
 
 
     const logMousePosition = (e)=>{
+        // ! with the hand written effect below this always logged X: 0 Y: 0, the listener was the logMousePosition of the first render (empty deps)
+        // ! useEventListener calls the latest logMousePosition, so now it logs the position from the last render
         console.log(`mouse position X: ${X} Y: ${Y}`)
         setX(e.clientX)
         setY(e.clientY)
     }
 
-    useEffect(()=>{
-       console.log('useEffect is running')
-       window.addEventListener('mousemove',logMousePosition)
+    // useEffect(()=>{
+    //    console.log('useEffect is running')
+    //    window.addEventListener('mousemove',logMousePosition)
 
 // ! if u remove cleanup function and empty dependency array u will see different behaviour basically useEffect will run again and again and register new event listener and the effect can be seen in MouseContainer Component 
-       // cleanup function 
-       return (()=>{
-        window.removeEventListener('mousemove',logMousePosition)
-       })
-    },[])
+    //    // cleanup function 
+    //    return (()=>{
+    //     window.removeEventListener('mousemove',logMousePosition)
+    //    })
+    // },[])
+
+    // the same effect and cleanup, written once in Custom Hooks/EventListener (window is the default target)
+    useEventListener('mousemove',logMousePosition)
 
   
 
@@ -29,4 +35,3 @@ export const HookMouse = () => {
     <div>X: {X} Y: {Y}</div>
   )
 }
-
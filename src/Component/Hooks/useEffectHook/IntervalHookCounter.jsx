@@ -1,4 +1,5 @@
-import React,{useState,useEffect} from 'react'
+import React,{useState} from 'react'
+import { useInterval } from '../../Custom Hooks/Timers/useInterval'
 
 export const IntervalHookCounter = () => {
     const [count,setCount] = useState(0)
@@ -19,20 +20,32 @@ export const IntervalHookCounter = () => {
   }
 */
 
-    useEffect(()=>{
-        const tick = ()=>{
-            setCount(count+1)
-        }
-        const interval = setInterval(tick,1000)
 
-        return ()=>{
-            clearInterval(interval)
-        }
+// ! the version below depends on count, so every tick clears the interval and sets up a new one
+// ! each new interval waits a full second again from whenever the effect ran, that is why it drifts behind IntervalClassCounter
 
-    },[count])
+    // useEffect(()=>{
+    //     const tick = ()=>{
+    //         setCount(count+1)
+    //     }
+    //     const interval = setInterval(tick,1000)
+
+    //     return ()=>{
+    //         clearInterval(interval)
+    //     }
+
+    // },[count])
+
+// ! useInterval keeps ONE interval running and calls the latest tick, so `count+1` is never stale and nothing is recreated
+    const { isRunning, pause, resume, reset } = useInterval(()=>{
+        setCount(count+1)
+    },1000)
 
   return (
-    <div>Hook Counter: {count}</div>
+    <div>
+        <div>Hook Counter: {count}</div>
+        <button onClick={isRunning ? pause : resume}>{isRunning ? 'pause' : 'resume'}</button>
+        <button onClick={()=>{ setCount(0); reset() }}>reset</button>
+    </div>
   )
 }
-
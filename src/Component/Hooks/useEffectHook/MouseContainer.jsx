@@ -1,16 +1,66 @@
-import React,{useState} from 'react'
+import React,{useRef, useState} from 'react'
 import { ClassMouse } from './ClassMouse' 
 import { HookMouse } from './HookMouse' 
+import { useMousePosition } from '../../Custom Hooks/Mouse/useMousePosition'
+import { MouseTracker } from '../../Custom Hooks/Mouse/MouseTracker'
+
+const formatPosition = ({ x, y, isInside, pointerType }) => (
+    x === null ? 'move the pointer' : `X: ${x} Y: ${y}${isInside ? '' : ' (outside)'} · ${pointerType}`
+)
+
+const HookMousePosition = () => {
+    const position = useMousePosition()
+    return <div>useMousePosition: {formatPosition(position)}</div>
+}
+
+const TrackerMousePosition = () => (
+    <MouseTracker>{position => <div>{'<MouseTracker>'}: {formatPosition(position)}</div>}</MouseTracker>
+)
+
+const IMPLEMENTATIONS = [
+    { id: 'class', label: 'ClassMouse', component: ClassMouse },
+    { id: 'hook', label: 'HookMouse', component: HookMouse },
+    { id: 'use-mouse-position', label: 'useMousePosition', component: HookMousePosition },
+    { id: 'mouse-tracker', label: '<MouseTracker>', component: TrackerMousePosition },
+]
+
+// coordinates relative to the box, both ways of reading them next to each other
+const MouseBox = () => {
+    const box = useRef(null)
+    const position = useMousePosition({ target: box })
+    return (
+        <section ref={box} className="mouse-box" aria-label="Pointer box">
+            <p>hook: {formatPosition(position)}</p>
+            <MouseTracker target={box} render={tracked => <p>render prop: {formatPosition(tracked)}</p>} />
+        </section>
+    )
+}
 
 export const MouseContainer = () => {
     const [display,setDisplay] = useState(true)
+    const [mounted, setMounted] = useState(['hook'])
+
+    const toggle = (id) => {
+        setMounted(mounted.includes(id) ? mounted.filter(other => other !== id) : [...mounted, id])
+    }
+
   return (
     <div>
         <h1>to visulaize the cleanup behaviour toggle the button</h1>
         <button onClick={()=>setDisplay(!display)}>Toggle</button>
+        <fieldset>
+            <legend>mount side by side</legend>
+            {IMPLEMENTATIONS.map(({ id, label }) => (
+                <label key={id}>
+                    <input type="checkbox" checked={mounted.includes(id)} onChange={() => toggle(id)} /> {label}
+                </label>
+            ))}
+        </fieldset>
         {/* {display && <ClassMouse></ClassMouse>} */}
-        {display && <HookMouse></HookMouse>}
+        {display && IMPLEMENTATIONS.filter(({ id }) => mounted.includes(id)).map(({ id, component: Implementation }) => (
+            <Implementation key={id} />
+        ))}
+        {display && mounted.some(id => id === 'use-mouse-position' || id === 'mouse-tracker') && <MouseBox />}
     </div>
   )
 }
-
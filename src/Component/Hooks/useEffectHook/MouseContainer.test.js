@@ -0,0 +1,42 @@
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MouseContainer } from './MouseContainer';
+
+test('useMousePosition renders once per animation frame, relative to the window or its target', () => {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const frames = [];
+  const requestFrame = jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback));
+  const cancelFrame = jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(id => { frames[id - 1] = null; });
+  const runFrames = () => act(() => {
+    frames.splice(0).forEach(frame => frame && frame());
+  });
+  const { unmount } = render(<MouseContainer />);
+
+  userEvent.click(screen.getByRole('checkbox', { name: 'useMousePosition' }));
+  fireEvent.mouseMove(window, { clientX: 10, clientY: 20 });
+  fireEvent.mouseMove(window, { clientX: 30, clientY: 40 });
+  fireEvent.mouseMove(window, { clientX: 50, clientY: 60 });
+  expect(frames.filter(Boolean)).toHaveLength(1);
+  expect(screen.getByText('useMousePosition: move the pointer')).toBeInTheDocument();
+  runFrames();
+  expect(screen.getByText('useMousePosition: X: 50 Y: 60 · mouse')).toBeInTheDocument();
+
+  const box = screen.getByRole('region', { name: 'Pointer box' });
+  box.getBoundingClientRect = () => ({ left: 100, top: 50, width: 200, height: 100 });
+  fireEvent.mouseMove(box, { clientX: 130, clientY: 70 });
+  runFrames();
+  expect(within(box).getByText('hook: X: 30 Y: 20 · mouse')).toBeInTheDocument();
+  expect(within(box).getByText('render prop: X: 30 Y: 20 · mouse')).toBeInTheDocument();
+  fireEvent.mouseLeave(box, { clientX: 310, clientY: 70 });
+  runFrames();
+  expect(within(box).getByText('hook: X: 210 Y: 20 (outside) · mouse')).toBeInTheDocument();
+
+  // the frame scheduled by the last move is cancelled on unmount
+  fireEvent.mouseMove(window, { clientX: 1, clientY: 2 });
+  userEvent.click(screen.getByRole('checkbox', { name: 'useMousePosition' }));
+  expect(frames.filter(Boolean)).toHaveLength(0);
+  unmount();
+  log.mockRestore();
+  requestFrame.mockRestore();
+  cancelFrame.mockRestore();
+});
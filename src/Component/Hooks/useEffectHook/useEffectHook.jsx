@@ -1,17 +1,23 @@
-import { createContext, useContext, useState } from 'react';
+// import { createContext, useContext, useState } from 'react';
+import { useTheme } from '../../Custom Hooks/Theme/ThemeProvider';
 
-const ThemeContext = createContext(null);
+// const ThemeContext = createContext(null);
 
+// ! ThemeContext was created here but never provided or read, the theme only lived in this component's state
+// ! and the button could only ever set 'dark'. the app's ThemeProvider (Custom Hooks/Theme) owns it now,
+// ! useTheme() reads the same value the sidebar switcher changes
 export default function MyTestApp() {
-  const [theme, setTheme] = useState('light');
+  // const [theme, setTheme] = useState('light');
+  const { theme, preference, toggleTheme } = useTheme();
   return (
    <>
    <h1>{theme}</h1>
+       <p className="catalog-meta">preference: {preference}</p>
        <div>Lorem, ipsum dolor sit amet consectetur adipisicing elit. Molestias iusto obcaecati hic quos fugit harum voluptatum non repellat eveniet. Accusantium rerum natus, praesentium porro quidem nisi expedita ut neque, repellat architecto nemo perspiciatis. Rerum illo, adipisci ex, voluptatibus porro suscipit ab dolorum quidem animi molestiae repudiandae unde libero corporis dolorem.</div>
 
-       <button onClick={()=>{setTheme('dark')}}>click me</button>
+       {/* <button onClick={()=>{setTheme('dark')}}>click me</button> */}
+       <button onClick={toggleTheme}>switch to {theme === 'dark' ? 'light' : 'dark'}</button>
    </>
 
   )
 }
-
@@ -1,9 +1,12 @@
 
 import React from "react";
+import { useWhyDidYouUpdate } from "../../Custom Hooks/Debug/debugHooks";
 
 const Expensive = () => {
 
   console.log("expensive compenent rendered!")
+  // takes no props either, every report is a render the parent caused (that is the one useMemo in the parent saves)
+  useWhyDidYouUpdate("Expensive", {});
 
   let total = 0;
   for (let i = 0; i < 1000000000; i++) {
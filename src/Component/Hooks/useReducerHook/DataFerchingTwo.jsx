@@ -1,48 +1,33 @@
-import React,{useReducer,useEffect} from 'react'
+import React from 'react'
+import { FETCH_STATUS, useFetch } from '../../Custom Hooks/Fetch/useFetch'
 
-const initialState = {
-    loading:false,
-    error:'',
-    data:{}
-}
-
-function reducer(state,action){
-  switch(action.type){
-     case 'FETCH_PENDING':
-        return {...state,loading:true,error:'',data:{}}
-     case 'FETCH_SUCCESS':
-        return {...state,loading:false,data:action.payload}
-     case 'FETCH_FAIL':
-        return {...state,loading:false,error:'Something went wrong',data:{}}
-     default:
-        return state
-  }
-}
+// the reducer that used to be here (FETCH_PENDING / FETCH_SUCCESS / FETCH_FAIL) is now inside useFetch,
+// with an explicit status instead of the loading + error flags
+// function reducer(state,action){
+//   switch(action.type){
+//      case 'FETCH_PENDING':
+//         return {...state,loading:true,error:'',data:{}}
+//      case 'FETCH_SUCCESS':
+//         return {...state,loading:false,data:action.payload}
+//      case 'FETCH_FAIL':
+//         return {...state,loading:false,error:'Something went wrong',data:{}}
+//      default:
+//         return state
+//   }
+// }
 
 export const DataFerchingTwo = () => {
-  const [state,dispatch] = useReducer(reducer,initialState);
-
-  useEffect(()=>{
-    dispatch({type:'FETCH_PENDING'})
-    fetch('https://jsonplaceholder.typicode.com/posts/1').then(resp=>resp.json()).then(data=>{
-        console.log(data);        
-       dispatch({type:'FETCH_SUCCESS',payload:data})
-    }).catch(err=>{
-        console.log(err);
-        dispatch({type:'FETCH_FAIL'})
-
-    })
-},[])
+  const { status, data, refetch } = useFetch('https://jsonplaceholder.typicode.com/posts/1', { initialData: {} })
 
   return (
     <div>
-      {(state.loading && !state.error )&&  <p>Loading .....</p>}
-      {(!state.loading && !state.error )&&  <div> 
+      {status === FETCH_STATUS.LOADING &&  <p>Loading .....</p>}
+      {status === FETCH_STATUS.SUCCESS &&  <div> 
             <p>below is the first post body from the post coming from the API</p>
-            <b>{ state.data.body}</b> 
+            <b>{ data.body}</b> 
         </div>}
          
-        {state.error ? state.error: null}
+        {status === FETCH_STATUS.ERROR && <p>Something went wrong <button onClick={refetch}>Retry</button></p>}
     </div>
   )
 }
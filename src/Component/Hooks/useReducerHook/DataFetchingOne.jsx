@@ -1,31 +1,24 @@
-import React,{useState,useEffect} from 'react'
+import React from 'react'
+import { useFetch } from '../../Custom Hooks/Fetch/useFetch'
 
-export const DataFetchingOne = () => {
-    const [loading,setLoading] = useState(true)
-    const [error,setError] = useState('')
-    const [data,setData] = useState({})
-
-    useEffect(()=>{
-        fetch('https://jsonplaceholder.typicode.com/posts/1').then(resp=>resp.json()).then(data=>{
-            console.log(data);        
-            setData(data)
-            setError('')
-            setLoading(false)
-        }).catch(err=>{
-            console.log(err);
-            setError('something went wrong')
-            setLoading(false)
+// first version: three useStates (loading, error, data) set one by one in the then / catch
+// const [loading,setLoading] = useState(true)
+// const [error,setError] = useState('')
+// const [data,setData] = useState({})
+// DataFerchingTwo moved them into a reducer, and now useFetch owns that reducer
 
-        })
-    },[])
+export const DataFetchingOne = () => {
+    const { isLoading, error, data: title } = useFetch('https://jsonplaceholder.typicode.com/posts/1', {
+        select: post => post.title,
+    })
   return (
     <div>
-        {loading ? <p>Loading .....</p> :  (<div> 
+        {isLoading ? <p>Loading .....</p> :  (<div> 
             <p>below is the first title  from the post coming from the API</p>
-            <b>{ data.title}</b> 
+            <b>{title}</b> 
         </div>)}
          
-        {error ? error: null}
+        {error ? 'something went wrong': null}
          
     </div>
   )
@@ -1,6 +1,20 @@
-import React, { useReducer, useRef, useState } from "react";
-import { formReducer, INITIAL_STATE } from "./formReducer";
+import React, { useEffect, useReducer, useRef, useState } from "react";
+import { formReducer, INITIAL_STATE, PRODUCT_RULES } from "./formReducer";
+import { hasErrors, shouldValidate, validateField } from "./validation";
+import { getIn } from "./paths";
 import "./form.css"
+
+// "images.sm" -> "product-images-sm", a path is not a nice id
+const fieldId = (name) => `product-${name.replace(/[^\w-]+/g, "-")}`;
+
+// the message under a field, its id is what the input's aria-describedby points at
+const FieldError = ({ name, error }) =>
+  error ? (
+    <span className="field-error" id={`${fieldId(name)}-error`}>
+      {error}
+    </span>
+  ) : null;
+
 const Form = () => {
 
   // USING USESTATE
@@ -56,22 +70,83 @@ const Form = () => {
   //USING USEREDUCER
 
   const [state, dispatch] = useReducer(formReducer, INITIAL_STATE);
+  const { values, errors, validating } = state;
   const tagRef = useRef();
+  const formRef = useRef();
+  const lastValidation = useRef(0);
+
+  // every check gets an id, the reducer only keeps the newest answer for a field
+  // validateField never rejects, every VALIDATE_START gets its VALIDATE_END
+  const validate = async (name, nextValues) => {
+    const id = ++lastValidation.current;
+    dispatch({ type: "VALIDATE_START", payload: { name, id } });
+    const error = await validateField(PRODUCT_RULES[name], getIn(nextValues, name), nextValues);
+    dispatch({ type: "VALIDATE_END", payload: { name, id, error } });
+    return error;
+  };
+
+  // the reducer is a pure function, running it here tells us the values this change leads to
+  const update = (name, ...actions) => {
+    actions.forEach(dispatch);
+    const next = actions.reduce(formReducer, state);
+    const context = { hasError: Boolean(errors[name]), submitted: state.submitCount > 0 };
+    if (shouldValidate("change", PRODUCT_RULES[name], context)) {
+      validate(name, next.values);
+    }
+  };
 
   const handleChange = (e) => {
-    dispatch({
+    // dispatch({
+    //   type: "CHANGE_INPUT",
+    //   payload: { name: e.target.name, value: e.target.value },
+    // });
+    // a number input hands over a string, "12" would end up as the price, empty stays "" for the required rule
+    const { name, type, value, valueAsNumber } = e.target;
+    update(name, {
       type: "CHANGE_INPUT",
-      payload: { name: e.target.name, value: e.target.value },
+      payload: { name, value: type === "number" && value !== "" ? valueAsNumber : value },
     });
   };
 
+  const handleBlur = (e) => {
+    if (shouldValidate("blur", PRODUCT_RULES[e.target.name])) {
+      validate(e.target.name, values);
+    }
+  };
+
   const handleTags = () => {
     const tags = tagRef.current.value.split(",");
-    tags.forEach((tag) => {
-      dispatch({ type: "ADD_TAG", payload: tag });
-    });
+    // tags.forEach((tag) => {
+    //   dispatch({ type: "ADD_TAG", payload: tag });
+    // });
+    update("tags", ...tags.map((tag) => ({ type: "ADD_TAG", payload: tag })));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // every rule runs on submit, SUBMIT is refused by the reducer if any of them failed
+    await Promise.all(Object.keys(PRODUCT_RULES).map((name) => validate(name, values)));
+    dispatch({ type: "SUBMIT" });
   };
 
+  // a blocked submit takes the user to the first field to fix
+  useEffect(() => {
+    if (state.status === "invalid") {
+      formRef.current.querySelector('[aria-invalid="true"]')?.focus();
+    }
+  }, [state.status, state.submitCount]);
+
+  // what an input needs so screen readers announce its error with it
+  const fieldProps = (name) => ({
+    name,
+    id: fieldId(name),
+    onChange: handleChange,
+    onBlur: handleBlur,
+    "aria-invalid": Boolean(errors[name]),
+    "aria-describedby": errors[name] ? `${fieldId(name)}-error` : undefined,
+    "aria-required": PRODUCT_RULES[name]?.required ? true : undefined,
+  });
+
   return (
 
     // USING USESTATE
@@ -133,31 +208,75 @@ const Form = () => {
     //USING USEREDUCER
     
     <div>
-      <form>
-        <input
-          type="text"
-          placeholder="Title"
-          onChange={handleChange}
-          name="title"
-        />
-        <input
-          type="text"
-          placeholder="Desc"
-          onChange={handleChange}
-          name="desc"
-        />
-        <input
-          type="number"
-          placeholder="Price"
-          onChange={handleChange}
-          name="price"
-        />
-        <p>Category:</p>
-        <select onChange={handleChange} name="category">
-          <option value="sneakers">Sneakers</option>
-          <option value="tshirts">T-shirts</option>
-          <option value="jeans">Jeans</option>
-        </select>
+      <form ref={formRef} onSubmit={handleSubmit} noValidate>
+        {state.status === "invalid" && hasErrors(errors) && (
+          <p role="alert" className="form-summary">Fix the highlighted fields before saving the product</p>
+        )}
+        <label className="field">
+          Title
+          <input
+            type="text"
+            placeholder="Title"
+            value={values.title}
+            aria-busy={"title" in validating}
+            {...fieldProps("title")}
+          />
+        </label>
+        {"title" in validating && <span className="field-status" aria-live="polite">checking the title...</span>}
+        <FieldError name="title" error={errors.title} />
+        <label className="field">
+          Desc
+          <input
+            type="text"
+            placeholder="Desc"
+            value={values.desc}
+            {...fieldProps("desc")}
+          />
+        </label>
+        <FieldError name="desc" error={errors.desc} />
+        <label className="field">
+          Price
+          <input
+            type="number"
+            placeholder="Price"
+            value={values.price}
+            {...fieldProps("price")}
+          />
+        </label>
+        <FieldError name="price" error={errors.price} />
+        <fieldset className="images">
+          <legend>Images</legend>
+          {[
+            ["sm", "Small image URL"],
+            ["md", "Medium image URL"],
+            ["lg", "Large image URL"],
+          ].map(([size, label]) => (
+            <React.Fragment key={size}>
+              <label className="field">
+                {label}
+                <input
+                  type="url"
+                  placeholder="https://..."
+                  value={values.images[size]}
+                  {...fieldProps(`images.${size}`)}
+                />
+              </label>
+              <FieldError name={`images.${size}`} error={errors[`images.${size}`]} />
+            </React.Fragment>
+          ))}
+        </fieldset>
+        {/* <p>Category:</p> */}
+        <label className="field">
+          Category
+          <select value={values.category} {...fieldProps("category")}>
+            {/* ! without an empty option the select showed Sneakers while category was still "" */}
+            <option value="">Choose a category</option>
+            <option value="sneakers">Sneakers</option>
+            <option value="tshirts">T-shirts</option>
+            <option value="jeans">Jeans</option>
+          </select>
+        </label>
+        <FieldError name="category" error={errors.category} />
         <p>Tags:</p>
         <textarea
           ref={tagRef}
@@ -166,25 +285,54 @@ const Form = () => {
         <button onClick={handleTags} type="button">
           Add Tags
         </button>
-        <div className="tags">
-          {state.tags.map((tag) => (
+        <div
+          className="tags"
+          role="group"
+          aria-label="Tags"
+          aria-describedby={errors.tags ? "product-tags-error" : undefined}
+        >
+          {values.tags.map((tag) => (
             <small
-              onClick={() => dispatch({ type: "REMOVE_TAG", payload: tag })}
+              onClick={() => update("tags", { type: "REMOVE_TAG", payload: tag })}
               key={tag}
             >
               {tag}
             </small>
           ))}
         </div>
-        <div className="quantity">
-          <button onClick={() => dispatch({ type: "DECREASE" })} type="button">
+        <FieldError name="tags" error={errors.tags} />
+        <div
+          className="quantity"
+          role="group"
+          aria-label="Quantity"
+          aria-describedby={errors.quantity ? "product-quantity-error" : undefined}
+        >
+          <button
+            onClick={() => update("quantity", { type: "DECREASE" })}
+            type="button"
+            aria-label="Decrease quantity"
+            disabled={values.quantity === 0}
+          >
             -
           </button>
-          <span>Quantity ({state.quantity})</span>
-          <button onClick={() => dispatch({ type: "INCREASE" })} type="button">
+          <span>Quantity ({values.quantity})</span>
+          <button
+            onClick={() => update("quantity", { type: "INCREASE" })}
+            type="button"
+            aria-label="Increase quantity"
+          >
             +
           </button>
         </div>
+        <FieldError name="quantity" error={errors.quantity} />
+        <button type="submit">Save product</button>
+        {state.status === "submitted" && (
+          <>
+            <p role="status">Saved "{state.submitted.title}"</p>
+            {/* what would be sent to the api, price and quantity are numbers and the images are nested */}
+            <pre aria-label="Saved product">{JSON.stringify(state.submitted, null, 2)}</pre>
+          </>
+        )}
       </form>
     </div>
   );
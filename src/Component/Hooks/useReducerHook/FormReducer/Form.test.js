@@ -0,0 +1,81 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Form from './Form';
+import { PRODUCT_RULES } from './formReducer';
+
+test('product form validates its rules, blocks an invalid submit and saves a valid product', async () => {
+  render(<Form />);
+
+  userEvent.click(screen.getByRole('button', { name: 'Save product' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('Fix the highlighted fields');
+  const title = screen.getByRole('textbox', { name: 'Title' });
+  expect(title).toHaveAttribute('aria-invalid', 'true');
+  expect(title).toHaveAccessibleDescription('Give the product a title');
+  await waitFor(() => expect(title).toHaveFocus());
+  expect(screen.getByRole('spinbutton', { name: 'Price' })).toHaveAccessibleDescription('Price must be more than 0');
+  expect(screen.getByRole('combobox', { name: 'Category' })).toHaveAccessibleDescription('Pick a category');
+  expect(screen.getByRole('group', { name: 'Quantity' })).toHaveAccessibleDescription('Add at least one item');
+
+  // after a submit every change re-checks its field, the title also asks the (pretend) api
+  userEvent.type(title, 'Air Max');
+  await waitFor(() => expect(title).toHaveAccessibleDescription('A product with this title already exists'));
+  userEvent.clear(title);
+  userEvent.type(title, 'Runner');
+  await waitFor(() => expect(title).toHaveAttribute('aria-invalid', 'false'));
+
+  userEvent.clear(screen.getByRole('spinbutton', { name: 'Price' }));
+  userEvent.type(screen.getByRole('spinbutton', { name: 'Price' }), '12');
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Category' }), 'sneakers');
+  expect(screen.getByRole('button', { name: 'Decrease quantity' })).toBeDisabled();
+  userEvent.click(screen.getByRole('button', { name: 'Increase quantity' }));
+  await waitFor(() => expect(screen.queryByRole('alert')).not.toBeInTheDocument());
+
+  userEvent.click(screen.getByRole('button', { name: 'Save product' }));
+  expect(await screen.findByRole('status')).toHaveTextContent('Saved "Runner"');
+});
+
+test('product form edits nested image urls by path and keeps numbers as numbers', async () => {
+  render(<Form />);
+
+  const small = screen.getByRole('textbox', { name: 'Small image URL' });
+  userEvent.type(small, 'sm.png');
+  userEvent.tab();
+  await waitFor(() => expect(small).toHaveAccessibleDescription('Use a full http(s) url'));
+  userEvent.clear(small);
+  userEvent.type(small, 'https://img/sm.png');
+  await waitFor(() => expect(small).toHaveAttribute('aria-invalid', 'false'));
+
+  userEvent.type(screen.getByRole('textbox', { name: 'Title' }), 'Trail shoe');
+  userEvent.clear(screen.getByRole('spinbutton', { name: 'Price' }));
+  userEvent.type(screen.getByRole('spinbutton', { name: 'Price' }), '12');
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Category' }), 'sneakers');
+  userEvent.click(screen.getByRole('button', { name: 'Increase quantity' }));
+  userEvent.click(screen.getByRole('button', { name: 'Save product' }));
+
+  await screen.findByRole('status');
+  const saved = JSON.parse(screen.getByLabelText('Saved product').textContent);
+  expect(saved.price).toBe(12);
+  expect(saved.images).toEqual({ sm: 'https://img/sm.png', md: '', lg: '' });
+});
+
+test('a title check that fails shows as its error and does not block the next submit', async () => {
+  // the pretend api is down once
+  jest.spyOn(PRODUCT_RULES.title, 'validate').mockRejectedValueOnce(new Error('offline'));
+  render(<Form />);
+
+  const title = screen.getByRole('textbox', { name: 'Title' });
+  userEvent.type(title, 'Runner');
+  userEvent.tab();
+  await waitFor(() => expect(title).toHaveAccessibleDescription('Could not check this field, try again'));
+
+  // a field with an error re-checks on change, this time the api answers
+  userEvent.type(title, 's');
+  await waitFor(() => expect(title).toHaveAttribute('aria-invalid', 'false'));
+  userEvent.clear(screen.getByRole('spinbutton', { name: 'Price' }));
+  userEvent.type(screen.getByRole('spinbutton', { name: 'Price' }), '12');
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Category' }), 'sneakers');
+  userEvent.click(screen.getByRole('button', { name: 'Increase quantity' }));
+  userEvent.click(screen.getByRole('button', { name: 'Save product' }));
+  expect(await screen.findByRole('status')).toHaveTextContent('Saved "Runners"');
+  PRODUCT_RULES.title.validate.mockRestore();
+});
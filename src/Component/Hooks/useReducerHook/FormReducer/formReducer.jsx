@@ -1,4 +1,7 @@
-export const INITIAL_STATE = {
+import { hasErrors } from "./validation";
+import { setIn } from "./paths";
+
+export const INITIAL_PRODUCT = {
     title: "",
     desc: "",
     price: 0,
@@ -11,32 +14,111 @@ export const INITIAL_STATE = {
     },
     quantity: 0,
   };
-  
+
+  // the product is only part of the form, the rest is what validation found
+  export const INITIAL_STATE = {
+    values: INITIAL_PRODUCT,
+    errors: {}, // field name -> message, null once it passes
+    validating: {}, // field name -> id of the validation still running
+    submitCount: 0,
+    status: "editing", // "invalid" after a blocked submit, "submitted" after one that went through
+    submitted: null,
+  };
+
+  // pretend api, the titles already in the shop
+  const TAKEN_TITLES = ["air max", "basic tee", "slim jeans"];
+  const isTitleTaken = (title) =>
+    new Promise((resolve) =>
+      setTimeout(() => resolve(TAKEN_TITLES.includes(title.trim().toLowerCase())), 300)
+    );
+
+  // the images are optional, a url that is there has to be a full one
+  const IMAGE_URL = { pattern: { value: /^https?:\/\/\S+$/, message: "Use a full http(s) url" } };
+
+  // nested fields are keyed by their path, the same name the input dispatches
+  export const PRODUCT_RULES = {
+    title: {
+      required: "Give the product a title",
+      pattern: { value: /^[^<>]*$/, message: "The title cannot contain < or >" },
+      // one request when the user leaves the field, not one per key
+      validate: async (title) => ((await isTitleTaken(title)) ? "A product with this title already exists" : null),
+      validateOn: "blur",
+    },
+    desc: {
+      validate: (desc) => (desc.length > 200 ? "Keep the description under 200 characters" : null),
+      validateOn: "change",
+    },
+    price: {
+      required: "Price is required",
+      min: { value: 0.01, message: "Price must be more than 0" },
+      max: 10000,
+      validateOn: "change",
+    },
+    category: { required: "Pick a category", validateOn: "change" },
+    tags: {
+      validate: (tags) => (tags.length > 5 ? "At most 5 tags" : null),
+      validateOn: "change",
+    },
+    "images.sm": IMAGE_URL,
+    "images.md": IMAGE_URL,
+    "images.lg": IMAGE_URL,
+    quantity: {
+      min: { value: 1, message: "Add at least one item" },
+      max: 99,
+      validateOn: "change",
+    },
+  };
+
   export const formReducer = (state, action) => {
     switch (action.type) {
       case "CHANGE_INPUT":
+        // return {
+        //   ...state,
+        //   [action.payload.name]: action.payload.value,
+        // };
+        // ! a flat [name] spread can't reach images.sm, the name is a path now ('images.sm', 'tags[2]')
         return {
           ...state,
-          [action.payload.name]: action.payload.value,
+          values: setIn(state.values, action.payload.name, action.payload.value),
         };
       case "ADD_TAG":
         return {
           ...state,
-          tags: [...state.tags, action.payload],
+          values: { ...state.values, tags: [...state.values.tags, action.payload] },
         };
       case "REMOVE_TAG":
         return {
           ...state,
-          tags: state.tags.filter((tag) => tag !== action.payload),
+          values: { ...state.values, tags: state.values.tags.filter((tag) => tag !== action.payload) },
         };
       case "INCREASE":
         return {
           ...state,
-          quantity: state.quantity + 1,
+          values: { ...state.values, quantity: state.values.quantity + 1 },
         };
       case "DECREASE":
-        return { ...state, quantity: state.quantity - 1 };
+        // return { ...state, quantity: state.quantity - 1 };
+        // ! went below zero, a quantity can't be negative whatever the rules say
+        return { ...state, values: { ...state.values, quantity: Math.max(0, state.values.quantity - 1) } };
+      case "VALIDATE_START":
+        return {
+          ...state,
+          validating: { ...state.validating, [action.payload.name]: action.payload.id },
+        };
+      case "VALIDATE_END": {
+        const { name, id, error } = action.payload;
+        // a slower, older check (async title lookup) must not overwrite the newer answer
+        if (state.validating[name] !== id) return state;
+        const { [name]: finished, ...validating } = state.validating;
+        return { ...state, validating, errors: { ...state.errors, [name]: error } };
+      }
+      case "SUBMIT":
+        // the gate itself, whoever dispatches it: nothing gets through with an error or a check still running
+        if (hasErrors(state.errors) || Object.keys(state.validating).length > 0) {
+          return { ...state, submitCount: state.submitCount + 1, status: "invalid" };
+        }
+        return { ...state, submitCount: state.submitCount + 1, status: "submitted", submitted: state.values };
       default:
         return state;
     }
-  };
\ No newline at end of file
+  };
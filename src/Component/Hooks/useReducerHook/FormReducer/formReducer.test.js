@@ -0,0 +1,16 @@
+import { formReducer, INITIAL_STATE } from './formReducer';
+
+test('the reducer keeps quantity at 0 or more and blocks a submit with errors', () => {
+  expect(formReducer(INITIAL_STATE, { type: 'DECREASE' }).values.quantity).toBe(0);
+  const withError = { ...INITIAL_STATE, errors: { title: 'Give the product a title' } };
+  expect(formReducer(withError, { type: 'SUBMIT' })).toMatchObject({ status: 'invalid', submitted: null });
+  expect(formReducer(INITIAL_STATE, { type: 'CHANGE_INPUT', payload: { name: 'images.lg', value: 'https://img/lg.png' } }).values.images.lg).toBe('https://img/lg.png');
+});
+
+test('an older validation finishing late does not overwrite the newer one', () => {
+  let state = formReducer(INITIAL_STATE, { type: 'VALIDATE_START', payload: { name: 'title', id: 1 } });
+  state = formReducer(state, { type: 'VALIDATE_START', payload: { name: 'title', id: 2 } });
+  state = formReducer(state, { type: 'VALIDATE_END', payload: { name: 'title', id: 2, error: null } });
+  expect(formReducer(state, { type: 'VALIDATE_END', payload: { name: 'title', id: 1, error: 'taken' } })).toBe(state);
+  expect(state.validating).toEqual({});
+});
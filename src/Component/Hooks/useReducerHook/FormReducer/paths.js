@@ -0,0 +1,38 @@
+// field names that point inside the product: 'images.sm', 'tags[2]', 'variants[0].sizes[1]'
+//
+//   parsePath('images.sm')          -> ['images', 'sm']
+//   getIn(product, 'tags[2]')       -> product.tags[2]
+//   setIn(product, 'images.sm', v)  -> a new product, new images object, everything else shared
+//
+// setIn copies only the objects / arrays along the path, so memo / useMemo further down still see
+// the same references for the parts that didn't change
+
+const PATH_PART = /([^.[\]]+)|\[(\d+)\]/g
+
+export const parsePath = (path) => {
+    if (Array.isArray(path)) return path
+    const keys = [...String(path).matchAll(PATH_PART)].map(([, key, index]) => (index !== undefined ? Number(index) : key))
+    if (keys.length === 0) {
+        throw new Error(`"${path}" is not a field path, use names like title, images.sm or tags[2]`)
+    }
+    return keys
+}
+
+export const getIn = (target, path) => (
+    parsePath(path).reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), target)
+)
+
+export const setIn = (target, path, value) => {
+    const [key, ...rest] = parsePath(path)
+    // a missing level is created, an array when the path indexes into it
+    const current = target === undefined || target === null ? (typeof key === 'number' ? [] : {}) : target
+    const next = rest.length ? setIn(current[key], rest, value) : value
+    // the same value keeps the same reference, the reducer then returns an unchanged branch
+    if (Object.is(current[key], next)) return current
+    if (Array.isArray(current)) {
+        const copy = current.slice()
+        copy[key] = next
+        return copy
+    }
+    return { ...current, [key]: next }
+}
@@ -0,0 +1,14 @@
+import { getIn, parsePath, setIn } from './paths';
+
+test('setIn copies only the objects along the path', () => {
+  const product = { title: 'Runner', tags: ['a', 'b', 'c'], images: { sm: '', md: '', lg: '' } };
+  expect(parsePath('variants[0].sizes[1]')).toEqual(['variants', 0, 'sizes', 1]);
+  const withImage = setIn(product, 'images.sm', 'https://img/sm.png');
+  expect(withImage.images).toEqual({ sm: 'https://img/sm.png', md: '', lg: '' });
+  expect(product.images.sm).toBe('');
+  expect(withImage.tags).toBe(product.tags);
+  expect(setIn(product, 'tags[2]', 'x').tags).toEqual(['a', 'b', 'x']);
+  expect(setIn(product, 'images.sm', '')).toBe(product);
+  expect(getIn(setIn({}, 'variants[0].size', 42), 'variants[0].size')).toBe(42);
+  expect(() => parsePath('')).toThrow('is not a field path');
+});
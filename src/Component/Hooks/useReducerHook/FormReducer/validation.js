@@ -0,0 +1,80 @@
+// declarative per-field rules, the reducer only stores what these return
+//
+//   title: {
+//       required: 'Give the product a title',           // true for the default message
+//       pattern: { value: /^[^<>]*$/, message: '...' },
+//       validate: async (value, values) => (await isTaken(value) ? 'already taken' : null),
+//       validateOn: 'blur',                               // 'change' | 'blur' | 'submit'
+//   },
+//   price: { required: true, min: { value: 0.01, message: 'price must be more than 0' }, max: 10000 },
+//
+// every rule is the bare value or { value, message }, the sync ones run first and the custom
+// `validate` (sync or async) only runs when they pass, an error is a string and "no error" is null
+
+export const VALIDATE_ON = ['change', 'blur', 'submit']
+
+const readRule = (rule, defaultMessage) => (
+    rule !== null && typeof rule === 'object' && !(rule instanceof RegExp)
+        ? { value: rule.value, message: rule.message || defaultMessage(rule.value) }
+        : { value: rule, message: typeof rule === 'string' ? rule : defaultMessage(rule) }
+)
+
+export const isEmpty = (value) => (
+    value === undefined || value === null || Number.isNaN(value)
+    || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0)
+)
+
+// the sync rules, in the order a user would want to hear about them
+export const checkRules = (rules = {}, value) => {
+    if (rules.required) {
+        const { message } = readRule(rules.required, () => 'This field is required')
+        if (isEmpty(value)) return message
+    }
+    // an empty optional field has nothing else to check
+    if (isEmpty(value)) return null
+
+    if (rules.min !== undefined) {
+        const { value: min, message } = readRule(rules.min, min => `Must be at least ${min}`)
+        if (Number(value) < min) return message
+    }
+    if (rules.max !== undefined) {
+        const { value: max, message } = readRule(rules.max, max => `Must be at most ${max}`)
+        if (Number(value) > max) return message
+    }
+    if (rules.pattern) {
+        const { value: pattern, message } = readRule(rules.pattern, () => 'Invalid format')
+        if (!pattern.test(String(value))) return message
+    }
+    return null
+}
+
+export const CHECK_FAILED = 'Could not check this field, try again'
+
+// always a promise, so the form doesn't care which fields have an async rule
+// it never rejects: a custom rule that throws (the api is down) is that field's error, otherwise
+// the form would wait for its VALIDATE_END forever and block every submit
+export const validateField = async (rules = {}, value, values) => {
+    const error = checkRules(rules, value)
+    if (error || !rules.validate) return error
+    try {
+        const result = await rules.validate(value, values)
+        return result || null
+    } catch (err) {
+        return CHECK_FAILED
+    }
+}
+
+// change validates a field that asked for it, one that already shows an error (so it clears while typing)
+// and every field once the user tried to submit; blur validates all but the submit-only fields
+export const shouldValidate = (event, rules = {}, { hasError = false, submitted = false } = {}) => {
+    const validateOn = rules.validateOn || 'blur'
+    if (!VALIDATE_ON.includes(validateOn)) {
+        throw new Error(`unknown validateOn "${validateOn}", use ${VALIDATE_ON.join(', ')}`)
+    }
+    if (event === 'submit') return true
+    if (event === 'blur') return validateOn !== 'submit'
+    return validateOn === 'change' || hasError || submitted
+}
+
+export const hasErrors = (errors) => Object.values(errors).some(Boolean)
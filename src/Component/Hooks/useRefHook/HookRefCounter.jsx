@@ -1,24 +1,42 @@
-import React,{useState,useEffect,useRef} from 'react'
+import React,{useState} from 'react'
+import { useInterval } from '../../Custom Hooks/Timers/useInterval'
+import { useTimeout } from '../../Custom Hooks/Timers/useTimeout'
 
 export const HookRefCounter = () => {
     const [count,setCount] = useState(0)
-    const timer = useRef()
-   useEffect(()=>{
-     timer.current = setInterval(()=>setCount(prevCount=>prevCount+1),1000)
+    // how long until the counter stops by itself, null while no stop is scheduled (a null delay is a paused timeout)
+    const [stopIn,setStopIn] = useState(null)
+
+//    const timer = useRef()
+//   useEffect(()=>{
+//     timer.current = setInterval(()=>setCount(prevCount=>prevCount+1),1000)
 
         // so clearing interval from outside of UseEffect we have to hold the instance of interval through useRef and then can clear through any event Handler 
         
-     return ()=>{
-        clearInterval(timer.current);
-     }
-   },[])
+//     return ()=>{
+//        clearInterval(timer.current);
+//     }
+//   },[])
+
+    // ! the ref version could stop the interval but never start it again, the effect with [] had already run
+    // ! useInterval keeps the id in its effect, pause / resume re-run the effect: its cleanup clears the old interval and it sets up a new one
+    const { isRunning, pause, resume, reset } = useInterval(()=>setCount(prevCount=>prevCount+1),1000)
+
+    const stopLater = useTimeout(()=>{
+        pause()
+        setStopIn(null)
+    },stopIn)
 
   return (
     <div>
         <h2>HookRefCounter</h2>
          <p>Hook Counter <b>{count}</b></p>
-         <button onClick={()=>{clearInterval(timer.current)}}>stop counter</button>
+         {isRunning
+            ? <button onClick={pause}>stop counter</button>
+            : <button onClick={resume}>start counter</button>}
+         <button onClick={()=>{ setCount(0); reset() }}>reset counter</button>
+         <button disabled={!isRunning || stopLater.isPending} onClick={()=>setStopIn(5000)}>stop in 5s</button>
+         {stopLater.isPending && <p>stopping in 5s ..... <button onClick={()=>setStopIn(null)}>keep going</button></p>}
     </div>
   )
 }
-
@@ -0,0 +1,56 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { HookRefCounter } from './HookRefCounter';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const count = () => screen.getByText('Hook Counter').textContent.replace('Hook Counter', '').trim();
+
+test('useInterval counter stops, restarts and resets, and useTimeout stops it later', () => {
+  const { unmount } = render(<HookRefCounter />);
+
+  act(() => jest.advanceTimersByTime(3000));
+  expect(count()).toBe('3');
+  userEvent.click(screen.getByRole('button', { name: 'stop counter' }));
+  act(() => jest.advanceTimersByTime(3000));
+  expect(count()).toBe('3');
+  userEvent.click(screen.getByRole('button', { name: 'start counter' }));
+  act(() => jest.advanceTimersByTime(2000));
+  expect(count()).toBe('5');
+
+  userEvent.click(screen.getByRole('button', { name: 'stop in 5s' }));
+  expect(screen.getByText(/stopping in 5s/)).toBeInTheDocument();
+  act(() => jest.advanceTimersByTime(5000));
+  expect(count()).toBe('10');
+  expect(screen.getByRole('button', { name: 'start counter' })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'reset counter' }));
+  expect(count()).toBe('0');
+  unmount();
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('stop in 5s works again after it stopped the counter once', () => {
+  render(<HookRefCounter />);
+
+  userEvent.click(screen.getByRole('button', { name: 'stop in 5s' }));
+  act(() => jest.advanceTimersByTime(5000));
+  expect(count()).toBe('5');
+  expect(screen.getByRole('button', { name: 'start counter' })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'start counter' }));
+  userEvent.click(screen.getByRole('button', { name: 'stop in 5s' }));
+  expect(screen.getByText(/stopping in 5s/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'stop in 5s' })).toBeDisabled();
+  act(() => jest.advanceTimersByTime(5000));
+  expect(count()).toBe('10');
+  expect(screen.getByRole('button', { name: 'start counter' })).toBeInTheDocument();
+  act(() => jest.advanceTimersByTime(3000));
+  expect(count()).toBe('10');
+});
@@ -1,23 +1,28 @@
-import React,{useState,useRef} from 'react'
-import debounce from 'lodash.debounce'
+import React,{useState} from 'react'
+// import debounce from 'lodash.debounce'
+import { useDebouncedCallback } from '../../Custom Hooks/Debounce/useDebounce'
 /* 
 * problem statement in this case we are trying to solve by mimicking a real case scenario that when user type in search box we want to call API based on that input word and give user result or pre suggestion like google search or amazon product search 
 
 * the performance challenge however is that when u call the API on every key stroke then it will be performance costly for that we are using debounce from lodash and to prevent the debounce creating on each render we are using useRef which will be consistent over the life cycle of component we can use useCallback also to memoized the whole callback function
 */
 
-const useDebounceWithRef = (cb,delay)=>{
-    return useRef(debounce(cb,delay)).current
-}
+// ! this first custom hook version holds on to the first cb forever (stale closure) and never cancels on unmount
+// ! the real one lives in Custom Hooks/Debounce/useDebounce.jsx (latest callback, cancel / flush / isPending, cleanup on unmount)
+// ! the plain useRef(debounce(...)).current below has the same two problems, useRef keeps the first debounce (and the first cb in it) for the whole life of the component
+// const useDebounceWithRef = (cb,delay)=>{
+//     return useRef(debounce(cb,delay)).current
+// }
 
 const UseRefWithDebounce = () => {
     const [value,setValue] = useState('')
     const [dbValue,setDbValue] = useState('')
 
 
-    const debounceCallBack = useRef(debounce((nextValue)=>{setDbValue(nextValue)},1000)).current
+    // const debounceCallBack = useRef(debounce((nextValue)=>{setDbValue(nextValue)},1000)).current
 
-    const debouncedCallBackWithHook = useDebounceWithRef((next)=>{setDbValue(next)},1000)
+    // const debouncedCallBackWithHook = useDebounceWithRef((next)=>{setDbValue(next)},1000)
+    const debouncedCallBackWithHook = useDebouncedCallback((next)=>{setDbValue(next)},1000)
 
     // we can make custom hook for above function 
 
@@ -44,6 +49,8 @@ const UseRefWithDebounce = () => {
                         {dbValue}
                     </div>
                 </section>
+                <button onClick={debouncedCallBackWithHook.flush}>Save now</button>
+                <button onClick={debouncedCallBackWithHook.cancel}>Discard pending save</button>
             </main>
     </div>
   )
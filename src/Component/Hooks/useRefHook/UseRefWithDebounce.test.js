@@ -0,0 +1,26 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import UseRefWithDebounce from './UseRefWithDebounce';
+
+test('debounced save waits for typing to stop, can be flushed and is cancelled on unmount', () => {
+  jest.useFakeTimers();
+  const { unmount } = render(<UseRefWithDebounce />);
+  const editor = screen.getByRole('textbox');
+  // the editor panel shows the text right away, the saved panel only after the debounce
+  const copies = (text) => screen.queryAllByText(text, { ignore: 'textarea' }).length;
+
+  userEvent.type(editor, 'hi');
+  act(() => jest.advanceTimersByTime(900));
+  expect(copies('hi')).toBe(1);
+  act(() => jest.advanceTimersByTime(100));
+  expect(copies('hi')).toBe(2);
+
+  userEvent.type(editor, '!');
+  userEvent.click(screen.getByRole('button', { name: 'Save now' }));
+  expect(copies('hi!')).toBe(2);
+
+  userEvent.type(editor, '?');
+  unmount();
+  expect(jest.getTimerCount()).toBe(0);
+  jest.useRealTimers();
+});
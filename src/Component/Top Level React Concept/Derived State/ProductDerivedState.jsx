@@ -1,4 +1,5 @@
 import React from 'react'
+import { usePrevious, useRenderCount, useWhyDidYouUpdate } from '../../Custom Hooks/Debug/debugHooks'
 
 const ProductDerivedState = () => {
    // const [selectedProd, setSelectedProd] = React.useState({});
@@ -54,6 +55,12 @@ const ProductDerivedState = () => {
    const findSelectedProduct = products.find(
      (prod) => prod.id === selectedProdId
    );
+
+   // + / - makes a new products array with one new product in it, the panel below the demo shows which state changed and how
+   useWhyDidYouUpdate('ProductDerivedState', { products, selectedProdId });
+   const renders = useRenderCount();
+   const previousSelectedId = usePrevious(selectedProdId);
+   const previousSelected = products.find((prod) => prod.id === previousSelectedId);
  
    return (
      <div>
@@ -114,6 +121,9 @@ const ProductDerivedState = () => {
        <p style={{ textAlign: 'center' }}>
          Selected Product Quantity <b>{findSelectedProduct?.quantity}</b>
        </p>
+       <p className="catalog-meta" style={{ textAlign: 'center' }}>
+         render #{renders} · selected before this render: {previousSelected?.title ?? 'nothing'}
+       </p>
        {/* <button onClick={asyncInc}>Async inc</button> */}
      </div>
    );
@@ -1,4 +1,6 @@
-import { useState } from "react"
+import { useEffect, useRef } from "react"
+import { useStorage } from "../../Component/Custom Hooks/Storage/useStorage"
+import { TIME_FORMATS, useTime } from "./useTime"
 
 export function Clock({time,color}){
     color = "pink"; // even though props are immutable but as you can see here since after destructuring it is just a variable it lost its object identity which was immutable 
@@ -12,9 +14,13 @@ export function Clock({time,color}){
 // immutability of props will be intact if you do not destructure it 
 
 export function ClockImmutable(props){
-    console.dir(props)
-    console.log(Object.isFrozen(props))
-    console.log(Object.isSealed(props))
+    // logged once for the first props, the clock re-renders every second now and the answer is the same every time
+    const firstProps = useRef(props)
+    useEffect(()=>{
+        console.dir(firstProps.current)
+        console.log(Object.isFrozen(firstProps.current))
+        console.log(Object.isSealed(firstProps.current))
+    },[])
     // props.color = "pink" // this will not work by design since props is immutable see above logs 
   return (
     <div>
@@ -23,21 +29,47 @@ export function ClockImmutable(props){
   )
 }
 
+const LOCALES = [
+    { value: "", label: "browser default" },
+    { value: "en-US", label: "English (US)" },
+    { value: "en-GB", label: "English (UK)" },
+    { value: "de-DE", label: "Deutsch" },
+    { value: "hi-IN", label: "हिन्दी" },
+    { value: "ja-JP", label: "日本語" },
+]
+
+const DEFAULT_SETTINGS = { color: "red", hour12: false, locale: "", format: "time" }
+
 export function ClockParent(){
-    const [color,setColor] = useState("red")
-    const currentTime = new Date().toLocaleTimeString()
+    // the settings survive a reload, they live in localStorage through useStorage
+    const [settings,setSettings] = useStorage("clock-settings", DEFAULT_SETTINGS)
+    const { color, hour12, locale, format } = { ...DEFAULT_SETTINGS, ...settings }
+
+    // ! this used to be new Date().toLocaleTimeString() right here, computed once per render and nothing ever re-rendered, so the clock stood still
+    // const currentTime = new Date().toLocaleTimeString()
+    const { formatted: currentTime } = useTime({ locale: locale || undefined, format: { ...TIME_FORMATS[format], hour12 } })
+
      const colors = ["red","green","blue"];
+     const update = (changes)=> setSettings(previous => ({ ...DEFAULT_SETTINGS, ...previous, ...changes }))
      function onChangeHandler(e){
-        setColor(e.target.value)
+        update({ color: e.target.value })
      }
      const Options = colors.map(clr=><option key={clr} value={clr}>{clr}</option>)
     return (
         <>
-        <select onChange={onChangeHandler}>
+        <label>color <select value={color} onChange={onChangeHandler}>
             {Options}
-        </select>
+        </select></label>
+        <label>language <select value={locale} onChange={e=>update({ locale: e.target.value })}>
+            {LOCALES.map(({ value, label })=><option key={value} value={value}>{label}</option>)}
+        </select></label>
+        <label>show <select value={format} onChange={e=>update({ format: e.target.value })}>
+            <option value="time">time</option>
+            <option value="datetime">date and time</option>
+        </select></label>
+        <label><input type="checkbox" checked={hour12} onChange={e=>update({ hour12: e.target.checked })} /> 12 hour clock</label>
         {/* <Clock time={currentTime} color={color} /> */}
         <ClockImmutable time={currentTime} color={color}/>
         </>
     )
-}
\ No newline at end of file
+}
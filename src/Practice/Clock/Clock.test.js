@@ -0,0 +1,47 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ClockParent } from './Clock';
+
+test('clock ticks on the wall clock second, pauses while hidden and remembers its settings', () => {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const dir = jest.spyOn(console, 'dir').mockImplementation(() => {});
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2026, 0, 1, 10, 0, 0, 600));
+  window.localStorage.removeItem('clock-settings');
+  const { unmount } = render(<ClockParent />);
+  const clock = () => screen.getByRole('heading', { name: /^\d{1,2}:\d{2}:\d{2}/ }).textContent;
+
+  expect(clock()).toMatch(/^10:00:00/);
+  act(() => jest.advanceTimersByTime(399));
+  expect(clock()).toMatch(/^10:00:00/);
+  act(() => jest.advanceTimersByTime(1));
+  expect(clock()).toMatch(/^10:00:01/);
+
+  userEvent.click(screen.getByRole('checkbox', { name: '12 hour clock' }));
+  expect(clock()).toMatch(/^10:00:01 AM$/);
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'color' }), 'blue');
+  expect(JSON.parse(window.localStorage.getItem('clock-settings'))).toMatchObject({ hour12: true, color: 'blue' });
+
+  Object.defineProperty(document, 'visibilityState', { configurable: true, value: 'hidden' });
+  act(() => {
+    document.dispatchEvent(new Event('visibilitychange'));
+  });
+  act(() => jest.advanceTimersByTime(3000));
+  expect(clock()).toMatch(/^10:00:01/);
+  Object.defineProperty(document, 'visibilityState', { configurable: true, value: 'visible' });
+  act(() => {
+    document.dispatchEvent(new Event('visibilitychange'));
+  });
+  expect(clock()).toMatch(/^10:00:04/);
+
+  unmount();
+  // a new mount reads the saved settings back
+  const view = render(<ClockParent />);
+  expect(clock()).toMatch(/AM$/);
+  expect(screen.getByRole('combobox', { name: 'color' })).toHaveValue('blue');
+  view.unmount();
+  delete document.visibilityState;
+  dir.mockRestore();
+  log.mockRestore();
+  jest.useRealTimers();
+});
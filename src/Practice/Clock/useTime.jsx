@@ -1,7 +1,56 @@
-import { useState } from "react";
+import { useEffect, useMemo, useState } from "react";
+import { useEventListener } from "../../Component/Custom Hooks/EventListener/useEventListener";
 
-export function useTime(){
-    const [time,setTime] = useState(Date.now())
-    const [color,setColor] = useState("red")
+// the current time, formatted, re-rendering once per `interval`
+//
+//   const { now, formatted, isPaused } = useTime({ interval: 1000, timeZone: "Asia/Kolkata", locale: "en-IN", format: "datetime" })
+//
+// format is a preset ("time", "date", "datetime"), Intl.DateTimeFormat options or a function (date) => string
+// (a preset with changes is just a spread: { ...TIME_FORMATS.time, hour12: false })
+// the ticks line up with the wall clock (a 1000 interval ticks right as the second changes), setInterval(1000) drifts and lags behind
+// a hidden tab has nothing to show, so it stops ticking until the tab is visible again
 
-}
\ No newline at end of file
+export const TIME_FORMATS = {
+    time: { hour: "numeric", minute: "2-digit", second: "2-digit" },
+    date: { weekday: "long", year: "numeric", month: "long", day: "numeric" },
+    datetime: { weekday: "short", year: "numeric", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", second: "2-digit" },
+}
+
+const isHidden = () => typeof document !== "undefined" && document.visibilityState === "hidden";
+
+export function useTime({ interval = 1000, timeZone, locale, format = "time" } = {}){
+    const [now,setNow] = useState(() => new Date())
+    const [isPaused,setIsPaused] = useState(isHidden)
+
+    useEventListener("visibilitychange", ()=> setIsPaused(isHidden()), typeof document === "undefined" ? null : document)
+
+    useEffect(()=>{
+        if(isPaused) return
+        let timer
+        const tick = ()=>{
+            const current = Date.now()
+            setNow(new Date(current))
+            // wait for the next whole interval instead of a full interval from now, every tick corrects the drift of the last one
+            timer = setTimeout(tick, interval - (current % interval))
+        }
+        // also catches up right away after the tab was hidden
+        tick()
+        return ()=>{
+            clearTimeout(timer)
+        }
+    },[interval,isPaused])
+
+    // an options object written inline is new every render, the formatter only has to change with its content
+    const formatKey = typeof format === "function" ? format : JSON.stringify(format)
+    const formatter = useMemo(()=>{
+        if(typeof formatKey === "function") return { format: formatKey }
+        const parsed = JSON.parse(formatKey)
+        const options = typeof parsed === "string" ? TIME_FORMATS[parsed] : parsed
+        if(!options){
+            throw new Error(`unknown time format "${parsed}", use ${Object.keys(TIME_FORMATS).join(", ")} or Intl.DateTimeFormat options`)
+        }
+        return new Intl.DateTimeFormat(locale, { ...options, timeZone })
+    },[formatKey,locale,timeZone])
+
+    return { now, formatted: formatter.format(now), isPaused }
+}
@@ -1,15 +1,18 @@
+// before react-dom, it has to find the commit hook when it loads (render counts, see Catalog/commitHook)
+import './Catalog/commitHook';
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { StrictModeRoot } from './Catalog/StrictModeRoot';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
-  // <React.StrictMode>
-  //   <App />
-  // </React.StrictMode>
-  <App />
+  // StrictMode is switched on and off from the sidebar, see Catalog/StrictModeRoot
+  <StrictModeRoot>
+    <App />
+  </StrictModeRoot>
 );
 
 // If you want to start measuring performance in your app, pass a function
@@ -0,0 +1,66 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import App from './App'
+import { DemoPage } from './Catalog/DemoPage'
+import { findDemo } from './Catalog/registry'
+
+// shared by the test files, the *.test.js files sit next to what they test
+//
+// the app loads notes, sources and challenges from public/repo with fetch, jsdom has no fetch at all
+// mockFetch answers those with the markdown / source below and hands every other url to `api`
+// (by default an api request never settles, tests that care pass their own)
+
+export const NOTE = '# useReducer\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n![diagram](2022-06-20-15-58-48.png)\n\n[roadmap](../../../react-deep-dive/ROADMAP.md)\n'
+
+export const SOURCE = 'export const Demo = () => {\n  // ! always cleanup\n  return null\n}\n'
+
+export const textResponse = (text) => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => 'text/plain' },
+    text: () => Promise.resolve(text),
+})
+
+export const jsonResponse = (data, { status = 200, statusText = '' } = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    json: () => Promise.resolve(data),
+})
+
+export const mockFetch = (api = () => new Promise(() => {}), repoFile = (url) => (url.endsWith('.md') ? NOTE : SOURCE)) => {
+    global.fetch = jest.fn((url, options) => (
+        url.startsWith('/repo/') ? Promise.resolve(textResponse(repoFile(url))) : api(url, options)
+    ))
+    return global.fetch
+}
+
+// the note / source panel beside a demo loads after the first render,
+// a test that ends before it did gets "an update to NoteViewer ... was not wrapped in act(...)"
+export const waitForSidePanel = () => waitFor(() => {
+    expect(screen.queryByText(/^Loading (notes|source) \.\.\.\.\.$/)).not.toBeInTheDocument()
+})
+
+// the whole app at a url, for the tests about routing
+export const renderApp = async (path, ui = <App />) => {
+    window.history.pushState({}, '', path)
+    const result = render(ui)
+    await waitForSidePanel()
+    return result
+}
+
+// one demo with the catalog around it (timeline, render counts, update reports), without the rest of the app
+export const renderDemoPage = async (path) => {
+    const demo = findDemo(path)
+    if (!demo) {
+        throw new Error(`no demo at ${path}`)
+    }
+    const result = render(
+        <MemoryRouter initialEntries={[path]}>
+            <DemoPage demo={demo} />
+        </MemoryRouter>
+    )
+    await waitForSidePanel()
+    return result
+}